@@ -1,14 +1,21 @@
 import React from "react";
-import CustomHooks from "./custom-hooks/CustomHooks";
+import DemoShell from "./router/DemoShell";
+import ToastProvider from "./toast/ToastProvider";
+import ThemeProvider from "./theme/ThemeProvider";
+import ThemeSwitcher from "./theme/ThemeSwitcher";
 
 function App() {
   return (
-    <div>
-      <h2>
-        <i>App⚛️</i>
-      </h2>
-      <CustomHooks />
-    </div>
+    <ThemeProvider>
+      <ToastProvider>
+        <div>
+          <h2>
+            <i>App⚛️</i> <ThemeSwitcher />
+          </h2>
+          <DemoShell />
+        </div>
+      </ToastProvider>
+    </ThemeProvider>
   );
 }
 //vid-53
@@ -1,4 +1,5 @@
 import React, { useState } from "react";
+import { hobbyDetails as initialHobbies } from "./data/hobbies";
 
 function ArrayState() {
   const [name, setName] = useState("Soumadip 👨🏻‍💻"); // Primitive vals.
@@ -8,11 +9,10 @@ function ArrayState() {
     "Movies 🎥",
   ]); //Arr.
 
-  const [hobbyDetails, setHobbyDetails] = useState([
-    { name: "Reading", time: "Night 🌃" },
-    { name: "Coding", time: "Morning 🌄" },
-    { name: "Movies", time: "Evening 🌆" },
-  ]);
+  // Copied -> updateLastHobbyName() below mutates these objects on purpose
+  const [hobbyDetails, setHobbyDetails] = useState(() =>
+    initialHobbies.map((hobby) => ({ ...hobby }))
+  );
 
   function updateLastHobby(hobby) {
     hobbies[hobbies.length - 1] = hobby;
@@ -1,14 +1,16 @@
 import React, { useRef } from "react";
 import UserInput from "./UserInput";
+import FieldsForm from "./fields/FieldsForm";
+import { vars } from "./theme/themes";
 
 // forwardRefs not needed in React19 and later versions..
+// inputRef.current is UserInput's handle (useImperativeHandle), not the <input/>
 function ForwardRef() {
   const inputRef = useRef(null);
   function updateInput() {
     console.log(`updateInput( ) called ✅`);
-    inputRef.current.value = "Updated Text";
-    inputRef.current.style.color = "green";
-    inputRef.current.style.backgroundColor = "lightblue";
+    inputRef.current.setValue("Updated Text");
+    inputRef.current.highlight(vars.infoHighlight);
     inputRef.current.focus();
     console.log("inputRef: ", inputRef);
   }
@@ -17,6 +19,10 @@ function ForwardRef() {
       <h2>ForwardRef( )...</h2>
       <UserInput ref={inputRef} />
       <button onClick={updateInput}>Update Input Field</button>
+      <button onClick={() => inputRef.current.clear()}>Clear</button>
+      <button onClick={() => inputRef.current.validate()}>Validate</button>
+      <hr />
+      <FieldsForm />
     </>
   );
 }
@@ -1,21 +1,173 @@
-import React from "react";
+import React, { useState } from "react";
+import DataTable from "./data-table/DataTable";
+import { addRow, removeRow, updateRow } from "./data-table/rowEditing";
+import {
+  employees as initialEmployees,
+  employeeFields,
+} from "./data/employees";
+import DataImporter from "./data-io/DataImporter";
+import ExportButtons from "./data-io/ExportButtons";
+import StatsPanel from "./stats/StatsPanel";
+import { vars } from "./theme/themes";
+
+const emptyEmployee = { name: "", role: "", age: "", avatar: "" };
+const inputStyle = { width: "7em", padding: "3px", borderRadius: "5px" };
+const errorStyle = { color: vars.danger, fontSize: "0.8em", margin: 0 };
+
+// Returns { field: message } -> empty object means valid ✅
+function validateEmployee(values) {
+  const errors = {};
+  if (!values.name.trim()) errors.name = "Name is required";
+  const age = String(values.age).trim();
+  if (!/^\d+$/.test(age) || Number(age) <= 0) {
+    errors.age = "Age must be a positive whole number";
+  }
+  return errors;
+}
+
+function toEmployee(values) {
+  return {
+    name: values.name.trim(),
+    role: values.role.trim(),
+    age: Number(values.age),
+    avatar: values.avatar.trim() || "🙂",
+  };
+}
 
 function MapTable() {
-  const employees = [
-    { id: 1, name: "Alice", role: "Developer", age: 25, avatar: "👩🏻‍💻" },
-    { id: 2, name: "Bob", role: "Designer", age: 28, avatar: "🎨" },
-    { id: 3, name: "Charlie", role: "Manager", age: 32, avatar: "👨🏻‍💼" },
-    { id: 4, name: "Tina", role: "Tester", age: 27, avatar: "🧪" },
-    { id: 5, name: "Skyy", role: "DB Admin.", age: 29, avatar: "📂" },
-    { id: 6, name: "Gemma", role: "Network Eng.", age: 35, avatar: "🛜" },
+  const [employees, setEmployees] = useState(initialEmployees);
+  const [newEmployee, setNewEmployee] = useState(emptyEmployee);
+  const [newErrors, setNewErrors] = useState({});
+  // editing -> { id, draft, errors } for the one row being edited
+  const [editing, setEditing] = useState(null);
+  const [deletingId, setDeletingId] = useState(null);
+
+  function handleAdd(evt) {
+    evt.preventDefault();
+    const errors = validateEmployee(newEmployee);
+    setNewErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+    setEmployees((prev) => addRow(prev, toEmployee(newEmployee)));
+    setNewEmployee(emptyEmployee);
+  }
+
+  function startEdit(employee) {
+    setDeletingId(null);
+    setEditing({ id: employee.id, draft: { ...employee }, errors: {} });
+  }
+
+  function changeDraft(field, value) {
+    setEditing((prev) => ({
+      ...prev,
+      draft: { ...prev.draft, [field]: value },
+    }));
+  }
+
+  function confirmEdit() {
+    const errors = validateEmployee(editing.draft);
+    if (Object.keys(errors).length > 0) {
+      setEditing((prev) => ({ ...prev, errors }));
+      return;
+    }
+    setEmployees((prev) =>
+      updateRow(prev, editing.id, toEmployee(editing.draft))
+    );
+    setEditing(null);
+  }
+
+  function confirmDelete(id) {
+    setEmployees((prev) => removeRow(prev, id));
+    setDeletingId(null);
+  }
+
+  function handleImport(records) {
+    // Imported rows replace the table, each one gets a fresh id
+    setEmployees(records.reduce(addRow, []));
+    setEditing(null);
+    setDeletingId(null);
+  }
+
+  function handleEditKeys(evt) {
+    if (evt.key === "Enter") confirmEdit();
+    if (evt.key === "Escape") setEditing(null);
+  }
+
+  // Shows an <input/> for the row being edited, the plain value otherwise
+  function editableCell(field) {
+    return function renderCell(employee) {
+      if (editing?.id !== employee.id) return employee[field];
+      return (
+        <>
+          <input
+            style={inputStyle}
+            type={field === "age" ? "number" : "text"}
+            aria-label={field}
+            aria-invalid={Boolean(editing.errors[field])}
+            value={editing.draft[field]}
+            onChange={(evt) => changeDraft(field, evt.target.value)}
+            onKeyDown={handleEditKeys}
+          />
+          {editing.errors[field] ? (
+            <p style={errorStyle}>{editing.errors[field]}</p>
+          ) : null}
+        </>
+      );
+    };
+  }
+
+  function renderActions(employee) {
+    if (editing?.id === employee.id) {
+      return (
+        <>
+          <button onClick={confirmEdit}>Save ✅</button>
+          <button onClick={() => setEditing(null)}>Cancel ❌</button>
+        </>
+      );
+    }
+    if (deletingId === employee.id) {
+      return (
+        <>
+          <span>Delete {employee.name}? </span>
+          <button onClick={() => confirmDelete(employee.id)}>Yes 🗑️</button>
+          <button onClick={() => setDeletingId(null)}>No</button>
+        </>
+      );
+    }
+    return (
+      <>
+        <button onClick={() => startEdit(employee)}>Edit ✏️</button>
+        <button onClick={() => setDeletingId(employee.id)}>Delete 🗑️</button>
+      </>
+    );
+  }
+
+  const columns = [
+    { key: "id", header: "ID" },
+    {
+      key: "name",
+      header: "Name",
+      filter: "text",
+      render: editableCell("name"),
+    },
+    {
+      key: "role",
+      header: "Role",
+      filter: "text",
+      render: editableCell("role"),
+    },
+    { key: "age", header: "Age", filter: "range", render: editableCell("age") },
+    {
+      key: "avatar",
+      header: "Avatar",
+      sortable: false,
+      render: editableCell("avatar"),
+    },
     {
-      id: 7,
-      name: "Adam",
-      role: "Cyber-Security Spcl.",
-      age: 34,
-      avatar: "🛡️",
+      key: "actions",
+      header: "Actions",
+      sortable: false,
+      render: renderActions,
     },
-    // Add more employees here, if needed...
   ];
 
   return (
@@ -23,35 +175,41 @@ function MapTable() {
       <h3>
         <i>Table using Array.map().. 👨🏻‍💻 </i>
       </h3>
-      <table
-        style={{
-          border: "2px solid white",
-          borderSpacing: "30px",
-          borderRadius: "7px",
-        }}>
-        <thead>
-          <tr style={{ textDecoration: "underline" }}>
-            <th>ID</th>
-            <th>Name</th>
-            <th>Role</th>
-            <th>Age</th>
-            <th>Avatar</th>
-          </tr>
-        </thead>
-        <tbody>
-          {employees.map((employee) => {
-            return (
-              <tr key={employee.id}>
-                <td>{employee.id}</td>
-                <td>{employee.name}</td>
-                <td>{employee.role}</td>
-                <td>{employee.age}</td>
-                <td>{employee.avatar}</td>
-              </tr>
-            );
-          })}
-        </tbody>
-      </table>
+      <form onSubmit={handleAdd} noValidate>
+        <h4>Add Employee ➕</h4>
+        {Object.keys(emptyEmployee).map((field) => (
+          <span key={field} style={{ display: "inline-block", margin: "5px" }}>
+            <input
+              style={inputStyle}
+              type={field === "age" ? "number" : "text"}
+              placeholder={field}
+              aria-label={field}
+              aria-invalid={Boolean(newErrors[field])}
+              value={newEmployee[field]}
+              onChange={(evt) =>
+                setNewEmployee({ ...newEmployee, [field]: evt.target.value })
+              }
+            />
+            {newErrors[field] ? (
+              <p style={errorStyle}>{newErrors[field]}</p>
+            ) : null}
+          </span>
+        ))}
+        <button type="submit">Add</button>
+      </form>
+      <DataImporter fields={employeeFields} onImport={handleImport} />
+      <DataTable
+        columns={columns}
+        rows={employees}
+        toolbar={(viewRows) => (
+          <ExportButtons records={viewRows} baseName="employees" />
+        )}
+      />
+      <StatsPanel
+        title="Employee stats"
+        records={employees}
+        groupOptions={[{ key: "role", label: "Role" }]}
+      />
     </div>
   );
 }
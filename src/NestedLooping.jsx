@@ -1,96 +1,53 @@
-import React from "react";
+import React, { useState } from "react";
+import { collegeData as initialColleges, collegeFields } from "./data/colleges";
+import DataImporter from "./data-io/DataImporter";
+import ExportButtons from "./data-io/ExportButtons";
+import CollegeTree from "./tree-view/CollegeTree";
+import { filterCollegeRecords } from "./tree-view/treeUtils";
+import StatsPanel from "./stats/StatsPanel";
 
 function NestedLooping() {
-  const collegeData = [
-    {
-      name: "Skyy University",
-      city: "Kolkata",
-      website: "skyy.university.edu",
-      students: [
-        {
-          name: "Alice",
-          age: 25,
-          email: "alice@gmail.com",
-        },
-        {
-          name: "Bob",
-          age: 27,
-          email: "bob@gmail.com",
-        },
-        {
-          name: "Charlie",
-          age: 28,
-          email: "charlie@gmail.com",
-        },
-      ],
-    },
-    {
-      name: "Banerjee Tech. College",
-      city: "Berlin",
-      website: "btu.edu",
-      students: [
-        {
-          name: "David",
-          age: 26,
-          email: "david@gmail.com",
-        },
-        {
-          name: "Eve",
-          age: 29,
-          email: "eve@gmail.com",
-        },
-      ],
-    },
-    {
-      name: "Soumadip University",
-      city: "Delhi",
-      website: "sumu.edu",
-      students: [
-        {
-          name: "Frank",
-          age: 24,
-          email: "frank@gmail.com",
-        },
-        {
-          name: "Grace",
-          age: 28,
-          email: "grace@gmail.com",
-        },
-      ],
-    },
-  ];
+  const [collegeData, setCollegeData] = useState(initialColleges);
+  const [search, setSearch] = useState("");
+  const searching = search.trim() !== "";
+  // One record per student, carrying its college's name + city for grouping
+  const students = collegeData.flatMap((college) =>
+    college.students.map((student) => ({
+      ...student,
+      college: college.name,
+      city: college.city,
+    }))
+  );
   return (
     <div>
       <h2>Nested Looping With Component:</h2>
-      <div>
-        {collegeData.map((college) => {
-          return (
-            <div key={college.name}>
-              <hr />
-              <h3>🏫College: {college.name}</h3>
-              <h4>📍{college.city}</h4>
-              <h4>📧{college.website}</h4>
-              <p>Student List:</p>
-              <ol
-                style={{
-                  border: "2px solid white",
-                  margin: "5px",
-                  borderRadius: "8px",
-                }}>
-                {college.students.map((student) => {
-                  return (
-                    <div key={student.name} style={{ padding: "4px" }}>
-                      <li style={{ fontWeight: "bold" }}>🎓{student.name}</li>
-                      <p>age: {student.age}</p>
-                      <p>email: {student.email}</p>
-                    </div>
-                  );
-                })}
-              </ol>
-            </div>
-          );
-        })}
-      </div>
+      <DataImporter
+        fields={collegeFields}
+        nestedKey="students"
+        onImport={setCollegeData}
+      />
+      {/* Exports what the tree shows -> only the matches while searching */}
+      <ExportButtons
+        records={
+          searching ? filterCollegeRecords(collegeData, search) : collegeData
+        }
+        baseName="colleges"
+        nestedKey="students"
+        label={searching ? "Export matches as" : "Export"}
+      />
+      <CollegeTree
+        colleges={collegeData}
+        search={search}
+        onSearchChange={setSearch}
+      />
+      <StatsPanel
+        title="Student stats"
+        records={students}
+        groupOptions={[
+          { key: "city", label: "City" },
+          { key: "college", label: "College" },
+        ]}
+      />
     </div>
   );
 }
@@ -1,12 +1,14 @@
 import React from "react";
 import Child from "./Child";
+import { useToast } from "./toast/toastContext";
 
 function Parent() {
+  const toast = useToast(); // non-blocking, unlike alert( )
   function displayName(name) {
-    alert(name + "👋🏻");
+    toast.info(name + "👋🏻");
   }
   function getUser() {
-    alert("getUser( ) called ✅");
+    toast.success("getUser( ) called ✅");
   }
   return (
     <div>
@@ -0,0 +1,121 @@
+import React, { useRef, useState } from "react";
+import useInterval from "../custom-hooks/useInterval";
+import useLocalStorage from "../custom-hooks/useLocalStorage";
+import useEventListener from "../custom-hooks/useEventListener";
+import { claimRing, forgetRing } from "./claimRing";
+
+// "07:30" on the day of 'base' (local time) -> timestamp
+function alarmTime(time, base) {
+  const [hours, minutes] = time.split(":").map(Number);
+  const date = new Date(base);
+  date.setHours(hours, minutes, 0, 0);
+  return date.getTime();
+}
+
+// When did "07:30" happen in (from, to]? -> timestamp or undefined.
+// Checks yesterday too -> works across midnight and after a long throttled gap.
+function ringsBetween(time, from, to) {
+  const today = alarmTime(time, to);
+  const yesterday = today - 24 * 3_600_000;
+  return [today, yesterday].find((at) => at > from && at <= to);
+}
+
+function Alarms({ clockClr, onRing }) {
+  const [alarms, setAlarms] = useLocalStorage("clock:alarms", []);
+  const [time, setTime] = useState("");
+  const [label, setLabel] = useState("");
+  const lastChecked = useRef(Date.now());
+
+  // Not "is it 07:30 right now?" -> a throttled tab may skip that minute.
+  // Every alarm that fell between the previous check and now rings once,
+  // in the first tab that claims it.
+  function checkAlarms() {
+    const now = Date.now();
+    for (const alarm of alarms) {
+      if (!alarm.enabled) continue;
+      const at = ringsBetween(alarm.time, lastChecked.current, now);
+      if (at !== undefined && claimRing(alarm.id, at)) {
+        onRing(`⏰ ${alarm.label || "Alarm"} (${alarm.time})`);
+      }
+    }
+    lastChecked.current = now;
+  }
+
+  useInterval(checkAlarms, 1000);
+  useEventListener("visibilitychange", checkAlarms, document);
+
+  function addAlarm(evt) {
+    evt.preventDefault();
+    if (!time) return;
+    setAlarms((prev) => [
+      ...prev,
+      { id: Date.now(), time, label: label.trim(), enabled: true },
+    ]);
+    setTime("");
+    setLabel("");
+  }
+
+  function updateAlarm(id, patch) {
+    setAlarms((prev) =>
+      prev.map((alarm) => (alarm.id === id ? { ...alarm, ...patch } : alarm))
+    );
+  }
+
+  function removeAlarm(id) {
+    setAlarms((prev) => prev.filter((alarm) => alarm.id !== id));
+    forgetRing(id);
+  }
+
+  const sorted = [...alarms].sort((a, b) => a.time.localeCompare(b.time));
+
+  return (
+    <div>
+      <form onSubmit={addAlarm}>
+        <input
+          type="time"
+          aria-label="Alarm time"
+          required
+          value={time}
+          onChange={(evt) => setTime(evt.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Label (optional)"
+          value={label}
+          onChange={(evt) => setLabel(evt.target.value)}
+        />
+        <button type="submit">Add alarm ➕</button>
+      </form>
+      {sorted.length === 0 ? <p>No alarms yet 😴</p> : null}
+      <ul style={{ listStyle: "none", padding: 0 }}>
+        {sorted.map((alarm) => (
+          <li key={alarm.id} style={{ margin: "0.5em 0" }}>
+            <label>
+              <input
+                type="checkbox"
+                checked={alarm.enabled}
+                onChange={(evt) =>
+                  updateAlarm(alarm.id, { enabled: evt.target.checked })
+                }
+              />
+              <strong style={{ color: clockClr, fontSize: "1.4em" }}>
+                {alarm.time}
+              </strong>{" "}
+              {alarm.label}
+            </label>{" "}
+            <button
+              onClick={() => removeAlarm(alarm.id)}
+              aria-label={`Delete ${alarm.time} alarm`}>
+              🗑️
+            </button>
+          </li>
+        ))}
+      </ul>
+      <p>
+        <small>Alarms ring while this page is open (in any tab).</small>
+      </p>
+    </div>
+  );
+}
+
+export default Alarms;
@@ -0,0 +1,102 @@
+import React, { useId } from "react";
+import { formatDate, formatTime, zonedTime } from "./clockFormat";
+import { vars } from "../theme/themes";
+
+const SIZE = 160;
+const CENTER = SIZE / 2;
+
+// angle in degrees, 0 = 12 o'clock
+function point(angle, length) {
+  const radians = ((angle - 90) * Math.PI) / 180;
+  return {
+    x: CENTER + length * Math.cos(radians),
+    y: CENTER + length * Math.sin(radians),
+  };
+}
+
+function Hand({ angle, length, width, color }) {
+  const end = point(angle, length);
+  return (
+    <line
+      x1={CENTER}
+      y1={CENTER}
+      x2={end.x}
+      y2={end.y}
+      // style, not the attribute -> var(--danger) only works in CSS
+      style={{ stroke: color }}
+      strokeWidth={width}
+      strokeLinecap="round"
+    />
+  );
+}
+
+// Same props as DigitalClock -> the container can swap faces freely
+function AnalogClock({ now, clockClr, timeZone, locale, hour12, showSeconds }) {
+  const titleId = useId();
+  const date = new Date(now);
+  const { hours, minutes, seconds } = zonedTime(date, timeZone);
+  const minuteAngle = (minutes + seconds / 60) * 6;
+  const hourAngle = ((hours % 12) + minutes / 60) * 30;
+
+  return (
+    <div>
+      <svg
+        width={SIZE}
+        height={SIZE}
+        viewBox={`0 0 ${SIZE} ${SIZE}`}
+        role="img"
+        aria-labelledby={titleId}>
+        <title id={titleId}>
+          {formatTime(date, { timeZone, locale, hour12, showSeconds })}
+        </title>
+        <circle
+          cx={CENTER}
+          cy={CENTER}
+          r={CENTER - 4}
+          fill="none"
+          stroke={clockClr}
+          strokeWidth="3"
+        />
+        {Array.from({ length: 12 }, (_, index) => {
+          const outer = point(index * 30, CENTER - 8);
+          const inner = point(index * 30, CENTER - (index % 3 === 0 ? 20 : 14));
+          return (
+            <line
+              key={index}
+              x1={inner.x}
+              y1={inner.y}
+              x2={outer.x}
+              y2={outer.y}
+              stroke={clockClr}
+              strokeWidth={index % 3 === 0 ? 3 : 1.5}
+            />
+          );
+        })}
+        <Hand
+          angle={hourAngle}
+          length={CENTER * 0.5}
+          width={5}
+          color={clockClr}
+        />
+        <Hand
+          angle={minuteAngle}
+          length={CENTER * 0.72}
+          width={3}
+          color={clockClr}
+        />
+        {showSeconds ? (
+          <Hand
+            angle={seconds * 6}
+            length={CENTER * 0.8}
+            width={1}
+            color={vars.danger}
+          />
+        ) : null}
+        <circle cx={CENTER} cy={CENTER} r="4" fill={clockClr} />
+      </svg>
+      <p style={{ margin: 0 }}>{formatDate(date, { timeZone, locale })}</p>
+    </div>
+  );
+}
+
+export default AnalogClock;
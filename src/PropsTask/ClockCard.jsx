@@ -0,0 +1,73 @@
+import React, { useId } from "react";
+import DigitalClock from "./DigitalClock";
+import AnalogClock from "./AnalogClock";
+import { listTimeZones, zoneLabel } from "./clockFormat";
+
+// One clock + its own settings. clock = { id, timeZone, hour12, showSeconds, face }
+function ClockCard({ clock, now, clockClr, locale, onChange, onRemove }) {
+  const id = useId();
+  const Face = clock.face === "analog" ? AnalogClock : DigitalClock;
+  const timeZones = listTimeZones([clock.timeZone]);
+  return (
+    <div
+      style={{
+        border: `1px solid ${clockClr}`,
+        borderRadius: "10px",
+        padding: "0.5em 1em",
+      }}>
+      <h3>
+        {zoneLabel(clock.timeZone)} {clock.face === "analog" ? "🕰️" : "⌚"}
+      </h3>
+      <Face
+        now={now}
+        clockClr={clockClr}
+        timeZone={clock.timeZone}
+        locale={locale}
+        hour12={clock.hour12}
+        showSeconds={clock.showSeconds}
+      />
+      <div style={{ marginTop: "0.5em" }}>
+        <label htmlFor={`${id}-zone`}>Zone: </label>
+        <select
+          id={`${id}-zone`}
+          value={clock.timeZone}
+          onChange={(evt) => onChange({ timeZone: evt.target.value })}>
+          {timeZones.map((timeZone) => (
+            <option key={timeZone} value={timeZone}>
+              {timeZone}
+            </option>
+          ))}
+        </select>
+      </div>
+      <label>
+        <input
+          type="checkbox"
+          checked={clock.hour12}
+          onChange={(evt) => onChange({ hour12: evt.target.checked })}
+        />
+        12-hour
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={clock.showSeconds}
+          onChange={(evt) => onChange({ showSeconds: evt.target.checked })}
+        />
+        Seconds
+      </label>
+      <button
+        onClick={() =>
+          onChange({ face: clock.face === "analog" ? "digital" : "analog" })
+        }>
+        {clock.face === "analog" ? "Digital face" : "Analog face"}
+      </button>
+      <button
+        onClick={onRemove}
+        aria-label={`Remove ${zoneLabel(clock.timeZone)} clock`}>
+        ❌
+      </button>
+    </div>
+  );
+}
+
+export default ClockCard;
@@ -1,18 +1,117 @@
-import React, { useState } from "react";
-import DigitalClock from "./DigitalClock";
+import React, { useCallback, useState } from "react";
+import ClockCard from "./ClockCard";
+import Stopwatch from "./Stopwatch";
+import CountdownTimer from "./CountdownTimer";
+import Alarms from "./Alarms";
+import useInterval from "../custom-hooks/useInterval";
+import useLocalStorage from "../custom-hooks/useLocalStorage";
+import useSharedState from "../custom-hooks/useSharedState";
+import { useToast } from "../toast/toastContext";
+import { localZone } from "./clockFormat";
+import { beep, unlockAudio } from "./beep";
+import { vars } from "../theme/themes";
+
+const modes = [
+  { id: "clocks", label: "Clocks 🕰️" },
+  { id: "stopwatch", label: "Stopwatch ⏱️" },
+  { id: "timer", label: "Timer ⏳" },
+  { id: "alarms", label: "Alarms ⏰" },
+];
+
+const locales = [
+  { value: "", label: "Browser default" },
+  { value: "en-US", label: "English (US)" },
+  { value: "en-GB", label: "English (UK)" },
+  { value: "hi-IN", label: "हिन्दी" },
+  { value: "de-DE", label: "Deutsch" },
+  { value: "ja-JP", label: "日本語" },
+];
+
+let nextClockId = 1;
+
+function newClock(timeZone) {
+  return {
+    id: nextClockId++,
+    timeZone,
+    hour12: false,
+    showSeconds: true,
+    face: "digital",
+  };
+}
+
+// Drops the milliseconds -> 'now' only changes once per second
+const currentSecond = () => Math.floor(Date.now() / 1000) * 1000;
 
 function ClockContainer() {
-  const [clockClr, setClockClr] = useState("yellow");
+  // Shared with the other open tabs of the demo
+  const [clockClr, setClockClr] = useSharedState("clock:color", "yellow");
+  const [locale, setLocale] = useState("");
+  const [clocks, setClocks] = useState(() => [
+    newClock(localZone),
+    { ...newClock("UTC"), face: "analog" },
+  ]);
+
+  // ONE tick for every clock. Polling 4x a second keeps the display within
+  // ~250ms of the real second change, but state (and a re-render) only
+  // changes when the second does.
+  const [now, setNow] = useState(currentSecond);
+  useInterval(() => setNow(currentSecond()), 250);
+
+  const [mode, setMode] = useState("clocks");
+  const [sound, setSound] = useLocalStorage("clock:sound", false);
+  const toast = useToast();
+
+  // Timer / alarm ended -> a toast that stays until dismissed (+ beep)
+  const notify = useCallback(
+    (message) => {
+      toast.show(message, { duration: 0 });
+      if (sound) beep();
+    },
+    [toast, sound]
+  );
+
+  function toggleSound(evt) {
+    setSound(evt.target.checked);
+    // Checking the box is a user gesture -> the browser lets audio start
+    if (evt.target.checked) unlockAudio();
+  }
+
+  function updateClock(id, patch) {
+    setClocks((prev) =>
+      prev.map((clock) => (clock.id === id ? { ...clock, ...patch } : clock))
+    );
+  }
+
+  function removeClock(id) {
+    setClocks((prev) => prev.filter((clock) => clock.id !== id));
+  }
+
   return (
     <div
       style={{
-        backgroundColor: "black",
+        backgroundColor: vars.displayBg,
         padding: "1.5em",
         borderRadius: "10px",
+        color: vars.displayText,
       }}>
+      <div style={{ marginBottom: "1em" }}>
+        {modes.map(({ id, label }) => (
+          <button
+            key={id}
+            aria-pressed={mode === id}
+            onClick={() => setMode(id)}
+            style={{ fontWeight: mode === id ? "bold" : "normal" }}>
+            {label}
+          </button>
+        ))}
+        <label style={{ marginLeft: "1em" }}>
+          <input type="checkbox" checked={sound} onChange={toggleSound} />
+          Sound 🔔
+        </label>
+      </div>
       <select
         style={{ padding: "5px", borderRadius: "10px" }}
-        defaultValue={clockClr}
+        value={clockClr}
         onChange={(evt) => setClockClr(evt.target.value)}>
         <option value="yellow">Yellow 🌻</option>
         <option value="blue">Blue 🌊</option>
@@ -23,7 +122,54 @@ function ClockContainer() {
         <option value="white">White ☁️</option>
         <option value="lime">Lime 🍋‍🟩</option>
       </select>
-      <DigitalClock clockClr={clockClr} />
+      {/* Every mode stays mounted -> timers and alarms fire whichever one is shown */}
+      <div hidden={mode !== "clocks"}>
+        <select
+          style={{ padding: "5px", borderRadius: "10px", marginLeft: "0.5em" }}
+          aria-label="Date language"
+          value={locale}
+          onChange={(evt) => setLocale(evt.target.value)}>
+          {locales.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button
+          style={{ marginLeft: "0.5em" }}
+          onClick={() => setClocks((prev) => [...prev, newClock(localZone)])}>
+          Add clock ➕
+        </button>
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "repeat(auto-fill, minmax(260px, 1fr))",
+            gap: "1em",
+            marginTop: "1em",
+          }}>
+          {clocks.map((clock) => (
+            <ClockCard
+              key={clock.id}
+              clock={clock}
+              now={now}
+              clockClr={clockClr}
+              locale={locale || undefined}
+              onChange={(patch) => updateClock(clock.id, patch)}
+              onRemove={() => removeClock(clock.id)}
+            />
+          ))}
+        </div>
+        {clocks.length === 0 ? <p>No clocks, add one ⏰</p> : null}
+      </div>
+      <div hidden={mode !== "stopwatch"}>
+        <Stopwatch clockClr={clockClr} />
+      </div>
+      <div hidden={mode !== "timer"}>
+        <CountdownTimer clockClr={clockClr} onFinish={notify} />
+      </div>
+      <div hidden={mode !== "alarms"}>
+        <Alarms clockClr={clockClr} onRing={notify} />
+      </div>
     </div>
   );
 }
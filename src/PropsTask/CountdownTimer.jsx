@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from "react";
+import useInterval from "../custom-hooks/useInterval";
+import useLocalStorage from "../custom-hooks/useLocalStorage";
+import useEventListener from "../custom-hooks/useEventListener";
+import { formatDuration } from "./clockFormat";
+import { claimRing } from "./claimRing";
+
+// status: "idle" | "running" | "paused" | "done"
+// running -> endsAt is the truth, paused -> remaining is
+const initialTimer = {
+  status: "idle",
+  duration: 5 * 60_000,
+  endsAt: null,
+  remaining: 5 * 60_000,
+};
+
+const presets = [1, 5, 10, 25];
+
+function CountdownTimer({ clockClr, onFinish }) {
+  const [timer, setTimer] = useLocalStorage("clock:countdown", initialTimer);
+  const [now, setNow] = useState(Date.now);
+  const running = timer.status === "running";
+
+  const remaining = running ? Math.max(0, timer.endsAt - now) : timer.remaining;
+  const refresh = () => setNow(Date.now());
+
+  // Three ways to notice the end: the repaint tick, a timeout aimed right at
+  // endsAt, and the tab becoming visible again. Background tabs throttle
+  // timers, but endsAt is a timestamp -> the first chance to run code
+  // finishes the timer, even after a reload.
+  useInterval(refresh, running ? 200 : null);
+  useEventListener("visibilitychange", refresh, document);
+  useEffect(() => {
+    if (timer.endsAt === null) return;
+    const timeoutId = setTimeout(
+      () => setNow(Date.now()),
+      Math.max(0, timer.endsAt - Date.now())
+    );
+    return () => clearTimeout(timeoutId);
+  }, [timer.endsAt]);
+
+  useEffect(() => {
+    if (!running || now < timer.endsAt) return;
+    setTimer((prev) =>
+      prev.status === "running"
+        ? { ...prev, status: "done", endsAt: null, remaining: 0 }
+        : prev
+    );
+    // Every tab finishes the shared timer, only one of them rings
+    if (!claimRing("timer", timer.endsAt)) return;
+    onFinish(
+      `Timer (${formatDuration(timer.duration, { showHundredths: false })}) is done ⏰`
+    );
+  }, [running, now, timer.endsAt, timer.duration, setTimer, onFinish]);
+
+  function setDuration(ms) {
+    setTimer({ ...initialTimer, duration: ms, remaining: ms });
+  }
+
+  function start() {
+    setNow(Date.now());
+    setTimer((prev) => ({
+      ...prev,
+      status: "running",
+      endsAt: Date.now() + prev.remaining,
+    }));
+  }
+
+  function pause() {
+    setTimer((prev) => ({
+      ...prev,
+      status: "paused",
+      endsAt: null,
+      remaining: Math.max(0, prev.endsAt - Date.now()),
+    }));
+  }
+
+  const minutes = Math.floor(timer.duration / 60_000);
+  const seconds = Math.floor(timer.duration / 1000) % 60;
+  const editable = timer.status === "idle" || timer.status === "done";
+
+  return (
+    <div>
+      <h1 style={{ color: clockClr, fontVariantNumeric: "tabular-nums" }}>
+        {formatDuration(remaining, { showHundredths: false })}
+        {timer.status === "done" ? " 🔔" : ""}
+      </h1>
+      <label>
+        Minutes{" "}
+        <input
+          type="number"
+          min="0"
+          max="999"
+          value={minutes}
+          disabled={!editable}
+          onChange={(evt) =>
+            setDuration((Number(evt.target.value) * 60 + seconds) * 1000)
+          }
+          style={{ width: "4em" }}
+        />
+      </label>{" "}
+      <label>
+        Seconds{" "}
+        <input
+          type="number"
+          min="0"
+          max="59"
+          value={seconds}
+          disabled={!editable}
+          onChange={(evt) =>
+            setDuration((minutes * 60 + Number(evt.target.value)) * 1000)
+          }
+          style={{ width: "4em" }}
+        />
+      </label>
+      <div style={{ margin: "0.5em 0" }}>
+        {presets.map((preset) => (
+          <button
+            key={preset}
+            disabled={!editable}
+            onClick={() => setDuration(preset * 60_000)}>
+            {preset} min
+          </button>
+        ))}
+      </div>
+      {running ? (
+        <button onClick={pause}>Pause ⏸️</button>
+      ) : (
+        <button onClick={start} disabled={timer.remaining <= 0}>
+          {timer.status === "paused" ? "Resume ▶️" : "Start ▶️"}
+        </button>
+      )}
+      <button onClick={() => setDuration(timer.duration)}>Reset 🔄</button>
+    </div>
+  );
+}
+
+export default CountdownTimer;
@@ -1,21 +1,22 @@
-import React, { useEffect, useState } from "react";
-
-function DigitalClock({ clockClr }) {
-  // Digital clock in React with 'color' coming in as 'prop'
-  const [currTime, setCurrTime] = useState(new Date().toLocaleTimeString());
-
-  useEffect(() => {
-    const currTimeInterval = setInterval(() => {
-      setCurrTime(new Date().toLocaleTimeString());
-    }, 1000);
-
-    return () => clearInterval(currTimeInterval); // Cleanup on unmount
-  }, []); // ✅ Empty dependency array ensures this runs only once
+import React from "react";
+import { formatDate, formatTime } from "./clockFormat";
 
+// Pure display -> 'now' comes from ClockContainer's single tick
+function DigitalClock({
+  now,
+  clockClr,
+  timeZone,
+  locale,
+  hour12,
+  showSeconds,
+}) {
+  const date = new Date(now);
   return (
     <div>
-      <h3>Digital Clock ⌚</h3>
-      <h1 style={{ color: clockClr }}>{currTime}</h1>
+      <h1 style={{ color: clockClr, margin: "0.2em 0" }}>
+        {formatTime(date, { timeZone, locale, hour12, showSeconds })}
+      </h1>
+      <p style={{ margin: 0 }}>{formatDate(date, { timeZone, locale })}</p>
     </div>
   );
 }
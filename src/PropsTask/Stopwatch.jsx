@@ -0,0 +1,79 @@
+import React, { useState } from "react";
+import useInterval from "../custom-hooks/useInterval";
+import useLocalStorage from "../custom-hooks/useLocalStorage";
+import { formatDuration } from "./clockFormat";
+
+const initialStopwatch = { startedAt: null, elapsedBefore: 0, laps: [] };
+
+// elapsed = time banked before the last start + (now - startedAt).
+// Nothing is counted per tick -> throttled background tabs and reloads
+// can't make it drift, the interval only repaints.
+function elapsedAt({ startedAt, elapsedBefore }, now) {
+  return elapsedBefore + (startedAt === null ? 0 : now - startedAt);
+}
+
+function Stopwatch({ clockClr }) {
+  const [watch, setWatch] = useLocalStorage(
+    "clock:stopwatch",
+    initialStopwatch
+  );
+  const [now, setNow] = useState(Date.now);
+  const running = watch.startedAt !== null;
+  useInterval(() => setNow(Date.now()), running ? 50 : null);
+
+  // max( ) -> a start from another tab is never "in the future" here
+  const elapsed = elapsedAt(watch, Math.max(now, watch.startedAt ?? now));
+
+  function start() {
+    const startedAt = Date.now();
+    setNow(startedAt);
+    setWatch((prev) => ({ ...prev, startedAt }));
+  }
+
+  function stop() {
+    setWatch((prev) => ({
+      ...prev,
+      startedAt: null,
+      elapsedBefore: elapsedAt(prev, Date.now()),
+    }));
+  }
+
+  function lap() {
+    setWatch((prev) => ({
+      ...prev,
+      laps: [...prev.laps, elapsedAt(prev, Date.now())],
+    }));
+  }
+
+  return (
+    <div>
+      <h1 style={{ color: clockClr, fontVariantNumeric: "tabular-nums" }}>
+        {formatDuration(elapsed)}
+      </h1>
+      {running ? (
+        <button onClick={stop}>Stop ⏸️</button>
+      ) : (
+        <button onClick={start}>{elapsed ? "Resume ▶️" : "Start ▶️"}</button>
+      )}
+      <button onClick={lap} disabled={!running}>
+        Lap 🏁
+      </button>
+      <button onClick={() => setWatch(initialStopwatch)} disabled={running}>
+        Reset 🔄
+      </button>
+      {watch.laps.length > 0 ? (
+        <ol>
+          {watch.laps.map((total, index) => (
+            <li key={index}>
+              {/* lap time = this total - previous total */}
+              {formatDuration(total - (watch.laps[index - 1] ?? 0))}{" "}
+              <small>(total {formatDuration(total)})</small>
+            </li>
+          ))}
+        </ol>
+      ) : null}
+    </div>
+  );
+}
+
+export default Stopwatch;
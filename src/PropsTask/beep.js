@@ -0,0 +1,33 @@
+// Web Audio beep -> no sound file needed.
+// Browsers keep an AudioContext muted until the user interacts with the
+// page, so call unlockAudio( ) from a click (the "Sound" checkbox does).
+
+let audioContext = null;
+
+function getContext() {
+  const AudioCtx = window.AudioContext ?? window.webkitAudioContext;
+  if (!AudioCtx) return null;
+  audioContext ??= new AudioCtx();
+  return audioContext;
+}
+
+export function unlockAudio() {
+  return getContext()?.resume();
+}
+
+export function beep({ times = 3, frequency = 880, length = 0.18 } = {}) {
+  const context = getContext();
+  if (!context) return;
+  const start = context.currentTime;
+  for (let index = 0; index < times; index++) {
+    const at = start + index * length * 2;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, at);
+    gain.gain.exponentialRampToValueAtTime(0.001, at + length);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(at);
+    oscillator.stop(at + length);
+  }
+}
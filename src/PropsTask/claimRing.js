@@ -0,0 +1,32 @@
+// Every open tab watches the same stored timer + alarms -> without this each
+// of them would beep and toast. The first tab to claim an occurrence rings
+// it, the rest see the claim. localStorage is synchronous, so the check and
+// the write happen before any other tab gets to run its own check.
+
+const STORAGE_KEY = "clock:rung";
+
+// id: which timer / alarm, at: when this occurrence is due -> true = ring it
+export function claimRing(id, at) {
+  try {
+    const rung = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) ?? {};
+    if (rung[id] >= at) return false;
+    window.localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ ...rung, [id]: at })
+    );
+  } catch {
+    // storage blocked -> no other tab shares the timer either, just ring
+  }
+  return true;
+}
+
+// Deleted alarm -> drop its claim so the map doesn't grow forever
+export function forgetRing(id) {
+  try {
+    const rung = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) ?? {};
+    delete rung[id];
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(rung));
+  } catch {
+    // nothing stored -> nothing to forget
+  }
+}
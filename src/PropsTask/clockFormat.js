@@ -0,0 +1,84 @@
+// Intl based formatting -> any IANA zone, any locale, no date library.
+
+const FALLBACK_ZONES = [
+  "UTC",
+  "America/New_York",
+  "America/Los_Angeles",
+  "Europe/London",
+  "Europe/Berlin",
+  "Asia/Kolkata",
+  "Asia/Tokyo",
+  "Australia/Sydney",
+];
+
+export const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const supportedZones =
+  typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : FALLBACK_ZONES;
+
+// Every zone the browser knows (older browsers -> a short list) + the ones
+// the app itself uses. V8's list has neither "UTC" nor always localZone, and
+// a <select> whose value has no option shows the wrong zone as selected.
+// usedZones: zones the clocks already show (e.g. restored from storage)
+export function listTimeZones(usedZones = []) {
+  const missing = [...new Set(["UTC", localZone, ...usedZones])].filter(
+    (zone) => !supportedZones.includes(zone)
+  );
+  return missing.length > 0 ? [...missing, ...supportedZones] : supportedZones;
+}
+
+// "Asia/Kolkata" -> "Kolkata", "America/Argentina/Buenos_Aires" -> "Buenos Aires"
+export function zoneLabel(timeZone) {
+  return timeZone.split("/").pop().replaceAll("_", " ");
+}
+
+// locale undefined -> the browser's language
+export function formatTime(date, { timeZone, locale, hour12, showSeconds }) {
+  return date.toLocaleTimeString(locale, {
+    timeZone,
+    hour12,
+    hour: "2-digit",
+    minute: "2-digit",
+    second: showSeconds ? "2-digit" : undefined,
+  });
+}
+
+export function formatDate(date, { timeZone, locale }) {
+  return date.toLocaleDateString(locale, {
+    timeZone,
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+}
+
+// Wall clock numbers in a zone -> what the analog hands need
+export function zonedTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return { hours: get("hour"), minutes: get("minute"), seconds: get("second") };
+}
+
+// 83456 -> "01:23.45", with hours once needed -> "1:02:03.45"
+export function formatDuration(ms, { showHundredths = true } = {}) {
+  const total = Math.max(0, ms);
+  const hours = Math.floor(total / 3_600_000);
+  const minutes = Math.floor(total / 60_000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  const pad = (n) => String(n).padStart(2, "0");
+  const clock = hours
+    ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+    : `${pad(minutes)}:${pad(seconds)}`;
+  return showHundredths
+    ? `${clock}.${pad(Math.floor(total / 10) % 100)}`
+    : clock;
+}
@@ -1,41 +1,118 @@
-import React from "react";
+import React, { useState } from "react";
+import useValidation from "./validation/useValidation";
+import FieldError from "./validation/FieldError";
+import {
+  custom,
+  matchesField,
+  minLength,
+  pattern,
+  required,
+} from "./validation/rules";
+
+// Mocked "is this name free?" server check 🌐
+const takenNames = ["admin", "root", "skyy"];
+async function isNameFree(name) {
+  await new Promise((res) => setTimeout(res, 600));
+  return !takenNames.includes(name.trim().toLowerCase());
+}
+
+const rules = {
+  name: [
+    required("Name is required"),
+    minLength(3),
+    custom(isNameFree, "This name is already taken"),
+  ],
+  password: [
+    required("Password is required"),
+    minLength(8),
+    pattern(/\d/, "Add at least one number"),
+  ],
+  confirmPassword: [
+    required("Please confirm the password"),
+    matchesField("password", "Passwords don't match"),
+  ],
+};
+
+const inputStyle = { height: "25px", width: "200px", margin: "5px" };
 
 function Uncontrolled() {
-  function handleSubmit(evt) {
-    evt.preventDefault();
-    const name = evt.target.name.value;
-    const password = evt.target.password.value;
-    console.log(`Name: ${name}, Password: ${password}`);
-    evt.target.reset(); // clear the form inputs after submission
-  }
+  const [mode, setMode] = useState("blur");
   return (
     <div>
       <h1>Uncontrolled Component</h1>
       <h2>Stateless and doesn't have state</h2>
-      <form method="post" onSubmit={handleSubmit}>
-        <input
-          style={{ height: "25px", width: "200px", margin:'5px' }}
-          type="text"
-          name="name"
-          placeholder="Enter your name"
-          id="name"
-        />
-        <br />
-        <br />
-        <input
-          style={{ height: "25px", width: "200px", margin:'5px' }}
-          type="password"
-          name="password"
-          placeholder="Enter your password"
-          id="password"
-        />
-        <div>
-            <button type="submit">Submit</button>
-        </div>
-        
-      </form>
+      <label>
+        Validate on:{" "}
+        <select value={mode} onChange={(evt) => setMode(evt.target.value)}>
+          <option value="blur">blur</option>
+          <option value="change">change</option>
+          <option value="submit">submit</option>
+        </select>
+      </label>
+      {/* key -> switching the mode starts a fresh form */}
+      <UncontrolledForm key={mode} mode={mode} />
     </div>
   );
 }
 
+function UncontrolledForm({ mode }) {
+  const {
+    errors,
+    errorId,
+    register,
+    handleSubmit,
+    hasErrors,
+    isPending,
+    reset,
+  } = useValidation(rules, { mode });
+
+  function onValid(values, form) {
+    // Never log passwords 🔒
+    console.log(`Name: ${values.name} registered ✅`);
+    form.reset(); // clear the form inputs after submission
+    reset();
+  }
+
+  return (
+    <form method="post" onSubmit={handleSubmit(onValid)} noValidate>
+      <input
+        style={inputStyle}
+        type="text"
+        placeholder="Enter your name"
+        id="name"
+        {...register("name")}
+      />
+      <FieldError
+        id={errorId("name")}
+        error={errors.name}
+        pending={isPending("name")}
+      />
+      <input
+        style={inputStyle}
+        type="password"
+        placeholder="Enter your password"
+        id="password"
+        {...register("password")}
+      />
+      <FieldError id={errorId("password")} error={errors.password} />
+      <input
+        style={inputStyle}
+        type="password"
+        placeholder="Confirm your password"
+        id="confirmPassword"
+        {...register("confirmPassword")}
+      />
+      <FieldError
+        id={errorId("confirmPassword")}
+        error={errors.confirmPassword}
+      />
+      <div>
+        <button type="submit" disabled={hasErrors}>
+          Submit
+        </button>
+      </div>
+    </form>
+  );
+}
+
 export default Uncontrolled;
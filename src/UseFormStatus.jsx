@@ -1,34 +1,150 @@
-import React from "react";
+import React, { useActionState, useMemo, useState } from "react";
 import { useFormStatus } from "react-dom";
+import useValidation from "./validation/useValidation";
+import FieldError from "./validation/FieldError";
+import { minLength, required } from "./validation/rules";
+import { createMockBackend } from "./mock-backend/mockBackend";
+import { vars } from "./theme/themes";
 
-function UseFormStatus() {
-  async function handleSubmit() {
-    await new Promise((res) => setTimeout(res, 1500)); //mocking async-api call
-    console.log(`Form Submitted ✅`);
+const rules = {
+  name: [required("Name is required")],
+  password: [required("Password is required"), minLength(6)],
+};
+
+const emptyValues = { name: "", password: "" };
+const initialState = {
+  status: "idle",
+  values: emptyValues,
+  fieldErrors: {},
+  formError: null,
+  message: null,
+};
+
+// Declared outside UseFormStatus -> a new component type on every render
+// would remount the inputs and wipe what the user typed.
+function CustomForm({ validation, state }) {
+  const { pending } = useFormStatus();
+  const { errors, errorId, register, hasErrors } = validation;
+  // Fields edited since the server answered -> its error for them is stale.
+  // Tied to 'state', so the next response starts with a clean list.
+  const [edited, setEdited] = useState({ state, names: [] });
+  const editedNames = edited.state === state ? edited.names : [];
+  console.log(`Pending: ${pending}`);
+
+  // Client-side errors first, then whatever the server sent back
+  function fieldError(name) {
+    if (errors[name]) return errors[name];
+    return editedNames.includes(name) ? null : state.fieldErrors[name];
   }
 
-  function CustomForm() {
-    const { pending } = useFormStatus();
-    console.log(`Pending: ${pending}`)
-    return (
-      <div>
-        <h3>Custom Form 📃</h3>
-        <input type="text" placeholder="Enter your name" />
-        <br />
-        <br />
-        <input type="password" placeholder="Enter your password" />
-        <br />
-        <br />
-        <button disabled={pending} type="submit">{pending ? 'Submitting...':'Submit'}</button>
-      </div>
-    );
+  function fieldProps(name) {
+    const error = fieldError(name);
+    const registered = register(name);
+    return {
+      ...registered,
+      onChange: (evt) => {
+        registered.onChange(evt);
+        if (state.fieldErrors[name] && !editedNames.includes(name)) {
+          setEdited({ state, names: [...editedNames, name] });
+        }
+      },
+      // React resets the form after the action -> defaultValue is what it
+      // resets to, so a failed submit keeps the user's input (not the
+      // password, handleSubmit never puts it back in the state)
+      defaultValue: state.values[name],
+      "aria-invalid": Boolean(error),
+      "aria-describedby": error ? errorId(name) : undefined,
+    };
   }
 
+  return (
+    <div>
+      <h3>Custom Form 📃</h3>
+      <input
+        type="text"
+        placeholder="Enter your name"
+        {...fieldProps("name")}
+      />
+      <FieldError id={errorId("name")} error={fieldError("name")} />
+      <br />
+      <input
+        type="password"
+        placeholder="Enter your password"
+        {...fieldProps("password")}
+      />
+      <FieldError id={errorId("password")} error={fieldError("password")} />
+      <br />
+      <button disabled={pending || hasErrors} type="submit">
+        {pending ? "Submitting..." : "Submit"}
+      </button>
+    </div>
+  );
+}
+
+// backend -> anything with an async register({ name, password }), handy for
+// plugging in a different mock (or a real API client)
+function UseFormStatus({ backend: customBackend }) {
+  const [outcome, setOutcome] = useState("success");
+  const mockBackend = useMemo(() => createMockBackend({ outcome }), [outcome]);
+  const backend = customBackend ?? mockBackend;
+  const validation = useValidation(rules, { mode: "blur" });
+
+  async function handleSubmit(prevState, formData) {
+    const values = {
+      name: formData.get("name"),
+      password: formData.get("password"),
+    };
+    // Refilled after a failed submit -> never keep the plaintext password
+    const keptValues = { ...values, password: "" };
+    try {
+      const result = await backend.register(values);
+      if (result.ok) {
+        console.log(`Form Submitted ✅`);
+        return { ...initialState, status: "success", message: result.message };
+      }
+      return {
+        ...initialState,
+        status: "error",
+        values: keptValues,
+        fieldErrors: result.fieldErrors ?? {},
+        formError: result.formError ?? null,
+      };
+    } catch (err) {
+      return {
+        ...initialState,
+        status: "error",
+        values: keptValues,
+        formError: err.message,
+      };
+    }
+  }
+
+  const [state, formAction] = useActionState(handleSubmit, initialState);
+
   return (
     <div>
       <h2>UseFormStatus Hook in ReactJs 19</h2>
-      <form action={handleSubmit}>
-        <CustomForm />
+      {customBackend ? null : (
+        <label>
+          Mock server responds with:{" "}
+          <select
+            value={outcome}
+            onChange={(evt) => setOutcome(evt.target.value)}>
+            <option value="success">success ✅</option>
+            <option value="field-errors">field errors ⚠️</option>
+            <option value="error">server error 💥</option>
+          </select>
+        </label>
+      )}
+      {state.formError ? (
+        <p role="alert" style={{ color: vars.danger }}>
+          ❌ {state.formError}
+        </p>
+      ) : null}
+      {state.message ? <p role="status">🎉 {state.message}</p> : null}
+      {/* onSubmit validates first, the action only runs for valid data */}
+      <form action={formAction} onSubmit={validation.handleSubmit()} noValidate>
+        <CustomForm validation={validation} state={state} />
       </form>
     </div>
   );
@@ -1,6 +1,20 @@
-import React, { useId } from "react";
+import React, { useState } from "react";
+import useValidation from "./validation/useValidation";
+import { Field, Label, Input, HelpText, ErrorText } from "./fields/Field";
+import { ChoiceGroup, Choice } from "./fields/ChoiceGroup";
+import { minItems, minLength, pattern, required } from "./validation/rules";
 // Don't use for keys{ } in a list.
 
+const rules = {
+  name: [
+    required("UserName is required"),
+    pattern(/^\w+$/, "Only letters, numbers and _"),
+  ],
+  password: [required("Password is required"), minLength(6)],
+  plan: [required("Pick a plan")],
+  topics: [minItems(1, "Pick at least one topic")],
+};
+
 function UseId() {
   return (
     <div>
@@ -15,28 +29,56 @@ function UseId() {
   );
 }
 
+// No hand made ids any more -> <Field/> and <ChoiceGroup/> call useId( )
+// and wire htmlFor / aria-describedby / aria-errormessage themselves.
 function UseIdForm() {
-  //   const name = useId();
-  //   const password = useId();
-  const user = useId();
-  console.log(user);
+  const { errors, register, handleSubmit } = useValidation(rules, {
+    mode: "change",
+  });
+  const [submitted, setSubmitted] = useState(null);
   return (
-    <form>
-      <label htmlFor={`${user}name`}>UserName: </label>
-      <input
-        type="text"
-        id={`${user}name`}
-        name="name"
-        placeholder="Enter name.."
-      />
-
-      <label htmlFor={`${user}password`}>Password: </label>
-      <input
-        type="password"
-        id={`${user}password`}
-        name="password"
-        placeholder="Enter password.."
-      />
+    <form
+      noValidate
+      onSubmit={handleSubmit(({ name, plan, topics }) =>
+        setSubmitted({ name, plan, topics })
+      )}>
+      <Field error={errors.name}>
+        <Label>UserName: </Label>
+        <Input type="text" placeholder="Enter name.." {...register("name")} />
+        <HelpText>Letters, numbers and _ only.</HelpText>
+        <ErrorText />
+      </Field>
+
+      <Field error={errors.password}>
+        <Label>Password: </Label>
+        <Input
+          type="password"
+          placeholder="Enter password.."
+          {...register("password")}
+        />
+        <ErrorText />
+      </Field>
+
+      <ChoiceGroup legend="Plan" name="plan" type="radio" error={errors.plan}>
+        <Choice value="free" label="Free" {...register("plan")} />
+        <Choice value="pro" label="Pro" {...register("plan")} />
+        <ErrorText />
+      </ChoiceGroup>
+
+      <ChoiceGroup
+        legend="Topics"
+        name="topics"
+        type="checkbox"
+        error={errors.topics}>
+        <HelpText>Pick the ones you want emails about.</HelpText>
+        <Choice value="hooks" label="Hooks" {...register("topics")} />
+        <Choice value="actions" label="Actions" {...register("topics")} />
+        <Choice value="compiler" label="Compiler" {...register("topics")} />
+        <ErrorText />
+      </ChoiceGroup>
+
+      <button type="submit">Submit</button>
+      {submitted ? <p>Submitted: {JSON.stringify(submitted)}</p> : null}
       <br />
       <hr />
       <br />
@@ -0,0 +1,151 @@
+import React, { useOptimistic, useState, useTransition } from "react";
+import { useFormStatus } from "react-dom";
+import { createTodoStore } from "./mock-backend/todoStore";
+import { vars } from "./theme/themes";
+
+// useOptimistic( ) -> show the change NOW, the real state catches up later.
+// If the request fails the optimistic version is dropped = automatic rollback.
+
+function optimisticReducer(todos, change) {
+  switch (change.type) {
+    case "add":
+      return [...todos, { ...change.todo, pending: true }];
+    case "toggle":
+      return todos.map((t) =>
+        t.id === change.id ? { ...t, done: !t.done, pending: true } : t
+      );
+    case "delete":
+      return todos.map((t) =>
+        t.id === change.id ? { ...t, deleting: true, pending: true } : t
+      );
+    default:
+      return todos;
+  }
+}
+
+function AddButton() {
+  const { pending } = useFormStatus();
+  return (
+    <button type="submit" disabled={pending}>
+      {pending ? "Adding..." : "Add ➕"}
+    </button>
+  );
+}
+
+function UseOptimistic() {
+  const [store] = useState(() =>
+    createTodoStore(["Learn useOptimistic 🪝", "Build a todo app 📝"])
+  );
+  const [todos, setTodos] = useState(() => store.snapshot());
+  const [optimisticTodos, applyOptimistic] = useOptimistic(
+    todos,
+    optimisticReducer
+  );
+  const [error, setError] = useState(null);
+  const [latency, setLatency] = useState(1000);
+  const [failureRate, setFailureRate] = useState(0.2);
+  const [, startTransition] = useTransition();
+
+  async function run(optimisticChange, request) {
+    setError(null);
+    applyOptimistic(optimisticChange);
+    try {
+      setTodos(await request());
+    } catch (err) {
+      setError(err.message); // optimistic change is thrown away 🔙
+    }
+  }
+
+  async function addAction(formData) {
+    const text = String(formData.get("text")).trim();
+    if (!text) return;
+    const todo = { id: `temp-${Date.now()}`, text, done: false };
+    await run({ type: "add", todo }, () => store.add(text));
+  }
+
+  function handleToggle(id) {
+    startTransition(() => run({ type: "toggle", id }, () => store.toggle(id)));
+  }
+
+  function handleDelete(id) {
+    startTransition(() => run({ type: "delete", id }, () => store.remove(id)));
+  }
+
+  return (
+    <div>
+      <h2>useOptimistic( ) - React1️⃣9️⃣</h2>
+      <div>
+        <label>
+          Latency: {latency}ms{" "}
+          <input
+            type="range"
+            min="0"
+            max="3000"
+            step="250"
+            value={latency}
+            onChange={(evt) => {
+              setLatency(Number(evt.target.value));
+              store.configure({ latency: Number(evt.target.value) });
+            }}
+          />
+        </label>{" "}
+        <label>
+          Failure rate: {Math.round(failureRate * 100)}%{" "}
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.1"
+            value={failureRate}
+            onChange={(evt) => {
+              setFailureRate(Number(evt.target.value));
+              store.configure({ failureRate: Number(evt.target.value) });
+            }}
+          />
+        </label>
+      </div>
+      {error ? (
+        <p role="alert" style={{ color: vars.danger }}>
+          ❌ {error} - change rolled back.
+        </p>
+      ) : null}
+      <form action={addAction}>
+        <input
+          type="text"
+          name="text"
+          placeholder="New todo.."
+          aria-label="New todo"
+        />
+        <AddButton />
+      </form>
+      <ul>
+        {optimisticTodos.map((todo) => (
+          <li
+            key={todo.id}
+            style={{
+              opacity: todo.pending ? 0.5 : 1,
+              textDecoration: todo.deleting ? "line-through" : "none",
+            }}>
+            <input
+              type="checkbox"
+              checked={todo.done}
+              disabled={todo.pending}
+              aria-label={`Done: ${todo.text}`}
+              onChange={() => handleToggle(todo.id)}
+            />
+            {todo.done ? <s>{todo.text}</s> : todo.text}
+            {todo.pending ? <small> ⏳ saving...</small> : null}
+            <button
+              disabled={todo.pending}
+              style={{ marginLeft: "5px" }}
+              onClick={() => handleDelete(todo.id)}>
+              🗑️
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default UseOptimistic;
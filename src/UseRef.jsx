@@ -1,4 +1,6 @@
 import React, { useRef, useState } from "react";
+import { vars } from "./theme/themes";
+
 function UseRef() {
   const inputRef = useRef(null);
   const h1Ref = useRef(null);
@@ -6,9 +8,9 @@ function UseRef() {
 
   const handleRef = () => {
     inputRef.current.focus();
-    inputRef.current.style.color = "red";
+    inputRef.current.style.color = vars.danger;
     inputRef.current.placeholder = "Placeholder changed!";
-    inputRef.current.style.backgroundColor = "yellow";
+    inputRef.current.style.backgroundColor = vars.dangerHighlight;
     console.log("inputRef: ", inputRef);
   };
 
@@ -23,7 +25,7 @@ function UseRef() {
 
   const h1Handler = () => {
     console.log("h1Ref: ", h1Ref);
-    h1Ref.current.style.color = "blue";
+    h1Ref.current.style.color = vars.accent;
   };
 
   const h1StateChanger = () => {
@@ -52,7 +54,7 @@ function UseRef() {
       <button onClick={h1StateChanger}>Change H1 State</button>
       <br />
       <h1 ref={h1Ref}>This is a H1</h1>
-      <h1 style={{ color: changeH1 ? "red" : "green" }}>
+      <h1 style={{ color: changeH1 ? vars.danger : vars.success }}>
         This is another h1, to be changed by state-update
       </h1>
     </div>
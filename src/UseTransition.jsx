@@ -1,16 +1,19 @@
 //import { useState } from "react";
 
-import { useTransition } from "react";
+import { useState, useTransition } from "react";
 
 //useTransition( ) can also be used without a <form/>, unlike useFormStatus( )
 
 function UseTransition() {
   //const [pending, setPending] = useState(false);
   const [pending, startTransition] = useTransition();
+  const [shouldFail, setShouldFail] = useState(false);
 
   function handleSubmit() {
     startTransition(async () => {
       await new Promise((resolve) => setTimeout(resolve, 2000));
+      // Errors thrown in a transition end up in the nearest error boundary
+      if (shouldFail) throw new Error("Mock API call failed 💥");
       console.log("Form submitted ✅");
     });
   }
@@ -18,6 +21,15 @@ function UseTransition() {
     <div>
       <h3>useTransition( ) - React1️⃣9️⃣</h3>
       {pending ? <h1>LOADING... ⌛</h1> : null}
+      <label>
+        <input
+          type="checkbox"
+          checked={shouldFail}
+          onChange={(evt) => setShouldFail(evt.target.checked)}
+        />
+        Make the request fail
+      </label>
+      <br />
       <button disabled={pending} onClick={handleSubmit}>
         {pending ? "Submitting..." : "Submit"}
       </button>
@@ -1,10 +1,18 @@
 import React from "react";
-//forwardRef( )
-function UserInput(props) {
-  return <div>
-    <h3>UserInput</h3>
-    <input type="text" placeholder="Enter your name" ref={props.ref}/>
-  </div>;
+import TextField from "./fields/TextField";
+import { required } from "./validation/rules";
+
+const nameRules = [required("Please enter your name")];
+
+// ref -> { focus, clear, reset, getValue, setValue, validate, highlight }
+// (useImperativeHandle inside TextField), the <input/> itself stays private
+function UserInput({ ref }) {
+  return (
+    <div>
+      <h3>UserInput</h3>
+      <TextField ref={ref} placeholder="Enter your name" rules={nameRules} />
+    </div>
+  );
 }
 
 export default UserInput;
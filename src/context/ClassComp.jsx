@@ -1,19 +1,45 @@
-import React from "react";
+import React, { memo } from "react";
+import { vars } from "../theme/themes";
 import StudentComp from "./StudentComp";
+import { AddItem, EditableName } from "./StoreControls";
+import SubjectOverride from "./SubjectOverride";
+import { actions } from "./collegeReducer";
+import { useClass, useCollegeDispatch } from "./collegeStore";
 
-function ClassComp() {
+const ClassComp = memo(function ClassComp({ classId }) {
+  const classItem = useClass(classId);
+  const dispatch = useCollegeDispatch();
+  if (!classItem) return null;
   return (
     <div
       style={{
-        backgroundColor: "skyblue",
+        backgroundColor: vars.level3,
         padding: 10,
-        color: "brown",
+        margin: "10px 0",
+        color: vars.levelText,
+        border: `2px solid ${vars.levelBorder}`,
         borderRadius: "5px",
       }}>
-      <h2>Class Component</h2>
-      <StudentComp />
+      <p style={{ margin: 0 }}>Class Component</p>
+      <EditableName
+        label="class"
+        name={classItem.name}
+        onRename={(name) => dispatch(actions.renameClass(classId, name))}
+      />
+      <button onClick={() => dispatch(actions.removeClass(classId))}>
+        Remove class 🗑️
+      </button>
+      <SubjectOverride label={`ClassComp: ${classItem.name}`}>
+        {classItem.studentIds.map((id) => (
+          <StudentComp key={id} studentId={id} />
+        ))}
+      </SubjectOverride>
+      <AddItem
+        placeholder="New student.."
+        onAdd={(name) => dispatch(actions.addStudent(classId, name))}
+      />
     </div>
   );
-}
+});
 
 export default ClassComp;
@@ -1,19 +1,46 @@
-import React from 'react'
-import ClassComp from './ClassComp';
+import React, { memo } from "react";
+import { vars } from "../theme/themes";
+import ClassComp from "./ClassComp";
+import { AddItem, EditableName } from "./StoreControls";
+import SubjectOverride from "./SubjectOverride";
+import { actions } from "./collegeReducer";
+import { useCollege, useCollegeDispatch } from "./collegeStore";
 
-function College() {
+// memo + its own selector -> re-renders only when THIS college changes
+const College = memo(function College({ collegeId }) {
+  const college = useCollege(collegeId);
+  const dispatch = useCollegeDispatch();
+  if (!college) return null;
   return (
     <div
       style={{
-        backgroundColor: "orange",
+        backgroundColor: vars.level2,
         padding: 10,
-        color: "brown",
+        margin: "10px 0",
+        color: vars.levelText,
+        border: `2px solid ${vars.levelBorder}`,
         borderRadius: "5px",
       }}>
-      <h2>College Component</h2>
-      <ClassComp/>
+      <p style={{ margin: 0 }}>College Component</p>
+      <EditableName
+        label="college"
+        name={college.name}
+        onRename={(name) => dispatch(actions.renameCollege(collegeId, name))}
+      />
+      <button onClick={() => dispatch(actions.removeCollege(collegeId))}>
+        Remove college 🗑️
+      </button>
+      <SubjectOverride label={`College: ${college.name}`}>
+        {college.classIds.map((id) => (
+          <ClassComp key={id} classId={id} />
+        ))}
+      </SubjectOverride>
+      <AddItem
+        placeholder="New class.."
+        onAdd={(name) => dispatch(actions.addClass(collegeId, name))}
+      />
     </div>
   );
-}
+});
 
-export default College
\ No newline at end of file
+export default College;
@@ -0,0 +1,40 @@
+import React, { useLayoutEffect, useReducer, useRef, useState } from "react";
+import { CollegeStoreCtxt } from "./collegeStore";
+import { collegeReducer, createInitialState } from "./collegeReducer";
+
+// useReducer owns the data, the context only hands out a stable store.
+// After every commit the subscribers are told, and each one re-renders
+// only if its own slice changed.
+function CollegeStore({ children }) {
+  const [state, dispatch] = useReducer(
+    collegeReducer,
+    undefined,
+    createInitialState
+  );
+  const stateRef = useRef(state);
+  const [store] = useState(() => {
+    const listeners = new Set();
+    return {
+      listeners,
+      getState: () => stateRef.current,
+      subscribe: (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      },
+      dispatch,
+    };
+  });
+
+  useLayoutEffect(() => {
+    stateRef.current = state;
+    store.listeners.forEach((listener) => listener());
+  }, [state, store]);
+
+  return (
+    <CollegeStoreCtxt.Provider value={store}>
+      {children}
+    </CollegeStoreCtxt.Provider>
+  );
+}
+
+export default CollegeStore;
@@ -1,32 +1,99 @@
-import React, { useState } from "react";
+import React from "react";
+import { vars } from "../theme/themes";
 import College from "./College";
-import { SubjectCtxt } from "./context";
+import SubjectProvider from "./SubjectProvider";
+import SubjectInspector from "./SubjectInspector";
+import CollegeStore from "./CollegeStore";
+import useSharedState from "../custom-hooks/useSharedState";
+import { AddItem, EditableName } from "./StoreControls";
+import { actions } from "./collegeReducer";
+import {
+  useCollegeDispatch,
+  useCollegeIds,
+  useSubjectIds,
+  useSubjectName,
+  useSubjects,
+} from "./collegeStore";
 
 function ParentCtxt() {
-  const [subject, setSubject] = useState("");
+  return (
+    <CollegeStore>
+      <ParentContent />
+    </CollegeStore>
+  );
+}
+
+function ParentContent() {
+  // Shared with the other open tabs of the demo. Holds the subject id, the
+  // name is looked up on render -> renames show up everywhere at once.
+  const [subjectId, setSubjectId] = useSharedState("context:subject", "");
+  const subject = useSubjectName(subjectId);
+  // Unknown id (removed, or added in another tab) -> nothing selected here
+  const selectedId = subject ? subjectId : "";
+  const collegeIds = useCollegeIds();
+  const subjectIds = useSubjectIds();
+  const subjects = useSubjects();
+  const dispatch = useCollegeDispatch();
   return (
     <div
       style={{
-        backgroundColor: "yellow",
+        backgroundColor: vars.level1,
         padding: 10,
-        color: "brown",
+        color: vars.levelText,
+        border: `2px solid ${vars.levelBorder}`,
         borderRadius: "5px",
       }}>
-      <SubjectCtxt.Provider value={subject}>
+      <SubjectProvider label="ParentCtxt" value={subject}>
         <select
-          value={subject}
-          onChange={(evt) => setSubject(evt.target.value)}>
+          value={selectedId}
+          onChange={(evt) => setSubjectId(evt.target.value)}>
           <option value="">Select Subject</option>
-          <option value="Mathematics">Mathematics</option>
-          <option value="Science">Science</option>
-          <option value="Social Studies">Social Studies</option>
+          {subjectIds.map((id) => (
+            <option key={id} value={id}>
+              {subjects[id].name}
+            </option>
+          ))}
         </select>
         <h1>Context API</h1>
-        <button style={{ margin: "5px" }} onClick={() => setSubject("")}>
+        <button style={{ margin: "5px" }} onClick={() => setSubjectId("")}>
           Reset Sub.🪄
         </button>
-        <College />
-      </SubjectCtxt.Provider>
+        <SubjectInspector />
+        <details>
+          <summary>Subjects catalog 📚</summary>
+          <ul>
+            {subjectIds.map((id) => (
+              <li key={id}>
+                <EditableName
+                  as="span"
+                  label="subject"
+                  name={subjects[id].name}
+                  onRename={(name) => dispatch(actions.renameSubject(id, name))}
+                />
+                <button
+                  onClick={() => {
+                    dispatch(actions.removeSubject(id));
+                    if (subjectId === id) setSubjectId("");
+                  }}
+                  aria-label={`Remove ${subjects[id].name}`}>
+                  🗑️
+                </button>
+              </li>
+            ))}
+          </ul>
+          <AddItem
+            placeholder="New subject.."
+            onAdd={(name) => dispatch(actions.addSubject(name))}
+          />
+        </details>
+        {collegeIds.map((id) => (
+          <College key={id} collegeId={id} />
+        ))}
+        <AddItem
+          placeholder="New college.."
+          onAdd={(name) => dispatch(actions.addCollege(name))}
+        />
+      </SubjectProvider>
     </div>
   );
 }
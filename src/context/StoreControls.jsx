@@ -0,0 +1,74 @@
+import React, { useRef, useState } from "react";
+
+// Name + ✏️ -> inline input, Enter / blur saves, Escape cancels
+export function EditableName({ name, label, onRename, as = "h2" }) {
+  const Tag = as;
+  const [draft, setDraft] = useState(null);
+  // Closing the input blurs it -> the blur must not save again, or save a
+  // draft that Escape just cancelled
+  const closedRef = useRef(false);
+
+  function open() {
+    closedRef.current = false;
+    setDraft(name);
+  }
+
+  function close() {
+    closedRef.current = true;
+    setDraft(null);
+  }
+
+  function save() {
+    if (closedRef.current) return;
+    const next = draft.trim();
+    if (next && next !== name) onRename(next);
+    close();
+  }
+
+  if (draft === null) {
+    return (
+      <Tag>
+        {name}{" "}
+        <button onClick={open} aria-label={`Rename ${label}`}>
+          ✏️
+        </button>
+      </Tag>
+    );
+  }
+  return (
+    <input
+      type="text"
+      aria-label={`${label} name`}
+      autoFocus
+      value={draft}
+      onChange={(evt) => setDraft(evt.target.value)}
+      onBlur={save}
+      onKeyDown={(evt) => {
+        if (evt.key === "Enter") save();
+        if (evt.key === "Escape") close();
+      }}
+    />
+  );
+}
+
+// Small "name + Add" form for the next level down
+export function AddItem({ placeholder, onAdd }) {
+  const [name, setName] = useState("");
+  return (
+    <form
+      onSubmit={(evt) => {
+        evt.preventDefault();
+        if (!name.trim()) return;
+        onAdd(name.trim());
+        setName("");
+      }}>
+      <input
+        type="text"
+        placeholder={placeholder}
+        value={name}
+        onChange={(evt) => setName(evt.target.value)}
+      />
+      <button type="submit">Add ➕</button>
+    </form>
+  );
+}
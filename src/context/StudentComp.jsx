@@ -1,19 +1,40 @@
-import React from "react";
+import React, { memo } from "react";
+import { vars } from "../theme/themes";
 import SubjectComp from "./SubjectComp";
+import { EditableName } from "./StoreControls";
+import SubjectOverride from "./SubjectOverride";
+import { actions } from "./collegeReducer";
+import { useCollegeDispatch, useStudent } from "./collegeStore";
 
-function StudentComp() {
+const StudentComp = memo(function StudentComp({ studentId }) {
+  const student = useStudent(studentId);
+  const dispatch = useCollegeDispatch();
+  if (!student) return null;
   return (
     <div
       style={{
-        backgroundColor: "green",
+        backgroundColor: vars.level4,
         padding: 10,
-        color: "brown",
+        margin: "10px 0",
+        color: vars.levelText,
+        border: `2px solid ${vars.levelBorder}`,
         borderRadius: "5px",
       }}>
-      <h2>Student Component</h2>
-      <SubjectComp/>
+      <p style={{ margin: 0 }}>Student Component</p>
+      <EditableName
+        as="h3"
+        label="student"
+        name={student.name}
+        onRename={(name) => dispatch(actions.renameStudent(studentId, name))}
+      />
+      <button onClick={() => dispatch(actions.removeStudent(studentId))}>
+        Remove student 🗑️
+      </button>
+      <SubjectOverride label={`StudentComp: ${student.name}`}>
+        <SubjectComp studentId={studentId} />
+      </SubjectOverride>
     </div>
   );
-}
+});
 
 export default StudentComp;
@@ -1,20 +1,66 @@
-import React, { useContext } from 'react'
-import { SubjectCtxt } from './context';
+import React, { memo } from "react";
+import { vars } from "../theme/themes";
+import { useSubject } from "./subjectInspector";
+import { actions } from "./collegeReducer";
+import {
+  useCollegeDispatch,
+  useStudent,
+  useSubjectIds,
+  useSubjects,
+} from "./collegeStore";
 
-function SubjectComp() {
-    const subject = useContext(SubjectCtxt)
+// Two sources side by side: the selected subject still comes through
+// SubjectCtxt (from the nearest override), the student's own subjects
+// come from the store
+const SubjectComp = memo(function SubjectComp({ studentId }) {
+  const student = useStudent(studentId);
+  // useContext(SubjectCtxt) + reporting to the context inspector
+  const subject = useSubject(`SubjectComp (${student?.name})`);
+  const subjectIds = useSubjectIds();
+  const subjects = useSubjects();
+  const dispatch = useCollegeDispatch();
+  if (!student) return null;
+  const available = subjectIds.filter((id) => !student.subjectIds.includes(id));
   return (
     <div
       style={{
-        backgroundColor: "gray",
+        backgroundColor: vars.level5,
         padding: 10,
-        color: "brown",
+        color: vars.levelText,
+        border: `2px solid ${vars.levelBorder}`,
         borderRadius: "5px",
       }}>
       <h2>Subject Component</h2>
       <p>Subject:{subject}</p>
+      <ul>
+        {student.subjectIds.map((id) => (
+          <li key={id}>
+            {subjects[id].name}{" "}
+            <button
+              onClick={() => dispatch(actions.unenroll(studentId, id))}
+              aria-label={`Drop ${subjects[id].name}`}>
+              ❌
+            </button>
+          </li>
+        ))}
+      </ul>
+      {available.length > 0 ? (
+        <select
+          aria-label={`Enroll ${student.name}`}
+          value=""
+          onChange={(evt) =>
+            dispatch(actions.enroll(studentId, evt.target.value))
+          }>
+          <option value="">Enroll in..</option>
+          {available.map((id) => (
+            <option key={id} value={id}>
+              {subjects[id].name}
+            </option>
+          ))}
+        </select>
+      ) : null}
     </div>
   );
-}
+});
 
-export default SubjectComp
\ No newline at end of file
+export default SubjectComp;
@@ -0,0 +1,68 @@
+import React, { useState } from "react";
+import { vars } from "../theme/themes";
+import { useSubjectConsumers } from "./subjectInspector";
+
+const time = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+// Dev panel: pick a SubjectCtxt consumer -> where its value comes from
+function SubjectInspector() {
+  const consumers = useSubjectConsumers();
+  const [selectedId, setSelectedId] = useState(null);
+  const consumer =
+    consumers.find((c) => c.id === selectedId) ?? consumers[0] ?? null;
+
+  return (
+    <details
+      style={{
+        border: `1px dashed ${vars.levelText}`,
+        borderRadius: "5px",
+        padding: "5px 10px",
+        margin: "10px 0",
+      }}>
+      <summary>Context inspector 🔍</summary>
+      {consumer === null ? (
+        <p>No SubjectCtxt consumers mounted.</p>
+      ) : (
+        <>
+          <label>
+            Consumer:{" "}
+            <select
+              value={consumer.id}
+              onChange={(evt) => setSelectedId(evt.target.value)}>
+              {consumers.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <p>
+            Value: <strong>"{consumer.value}"</strong>, last changed at{" "}
+            {time(consumer.changedAt)}
+          </p>
+          <p>
+            Supplied by:{" "}
+            <strong>
+              {consumer.chain.at(-1)?.label ??
+                "createContext( ) default (no provider above)"}
+            </strong>
+          </p>
+          <p>Provider chain (outermost first):</p>
+          <ol>
+            {consumer.chain.map((link, index) => {
+              const supplier = index === consumer.chain.length - 1;
+              return (
+                <li key={link.id} style={{ opacity: supplier ? 1 : 0.6 }}>
+                  {link.label}: "{link.value}" (set at {time(link.changedAt)})
+                  {supplier ? " ✅ supplies the value" : " (shadowed)"}
+                </li>
+              );
+            })}
+          </ol>
+        </>
+      )}
+    </details>
+  );
+}
+
+export default SubjectInspector;
@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+import SubjectProvider from "./SubjectProvider";
+import { useSubjectIds, useSubjectName, useSubjects } from "./collegeStore";
+
+// Optional override for one level: ticked -> everything in 'children' gets
+// its subject from this level's provider instead of the one above.
+function SubjectOverride({ label, children }) {
+  const [enabled, setEnabled] = useState(false);
+  const [subjectId, setSubjectId] = useState("");
+  const subject = useSubjectName(subjectId);
+  const subjectIds = useSubjectIds();
+  const subjects = useSubjects();
+  // The chosen subject was removed -> drop the selection along with it
+  if (subjectId && !subject) setSubjectId("");
+
+  const controls = (
+    <p>
+      <label>
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(evt) => setEnabled(evt.target.checked)}
+        />
+        Override subject here
+      </label>{" "}
+      {enabled ? (
+        <select
+          aria-label={`Subject for ${label}`}
+          value={subjectId}
+          onChange={(evt) => setSubjectId(evt.target.value)}>
+          <option value="">(empty)</option>
+          {subjectIds.map((id) => (
+            <option key={id} value={id}>
+              {subjects[id].name}
+            </option>
+          ))}
+        </select>
+      ) : null}
+    </p>
+  );
+
+  return (
+    <>
+      {controls}
+      <SubjectProvider label={label} value={subject} enabled={enabled}>
+        {children}
+      </SubjectProvider>
+    </>
+  );
+}
+
+export default SubjectOverride;
@@ -0,0 +1,27 @@
+import React, { useContext, useId, useMemo } from "react";
+import { SubjectChainCtxt, SubjectCtxt } from "./context";
+import useTrackedValue from "./useTrackedValue";
+
+// SubjectCtxt.Provider + a link in the provider chain, so any consumer
+// below can tell WHO supplied its value (the innermost link wins).
+// enabled={false} -> passes the outer value and chain through untouched.
+// Same element either way, so toggling never remounts the children.
+function SubjectProvider({ label, value, enabled = true, children }) {
+  const id = useId();
+  const parentValue = useContext(SubjectCtxt);
+  const parentChain = useContext(SubjectChainCtxt);
+  const tracked = useTrackedValue(value);
+  const chain = useMemo(
+    () => (enabled ? [...parentChain, { id, label, ...tracked }] : parentChain),
+    [enabled, parentChain, id, label, tracked]
+  );
+  return (
+    <SubjectChainCtxt.Provider value={chain}>
+      <SubjectCtxt.Provider value={enabled ? value : parentValue}>
+        {children}
+      </SubjectCtxt.Provider>
+    </SubjectChainCtxt.Provider>
+  );
+}
+
+export default SubjectProvider;
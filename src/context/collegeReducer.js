@@ -0,0 +1,293 @@
+import { collegeData } from "../data/colleges";
+
+// Normalized state -> every level is looked up by id, so an update only
+// replaces the objects on its own path and everything else keeps its
+// identity (that's what lets the selector hooks skip re-renders).
+// {
+//   collegeIds: [...], subjectIds: [...]            <- display order
+//   colleges: { [id]: { id, name, city, classIds } }
+//   classes:  { [id]: { id, name, collegeId, studentIds } }
+//   students: { [id]: { id, name, classId, subjectIds } }
+//   subjects: { [id]: { id, name } }
+// }
+
+let lastId = 0;
+const makeId = (prefix) => `${prefix}-${++lastId}`;
+
+// Seed -> the sample colleges, each with one class holding its students
+export function createInitialState() {
+  const subjects = ["Mathematics", "Science", "Social Studies"].map((name) => ({
+    id: makeId("subject"),
+    name,
+  }));
+  const state = {
+    collegeIds: [],
+    subjectIds: subjects.map((subject) => subject.id),
+    colleges: {},
+    classes: {},
+    students: {},
+    subjects: Object.fromEntries(subjects.map((s) => [s.id, s])),
+  };
+  for (const { name, city, students } of collegeData) {
+    const collegeId = makeId("college");
+    const classId = makeId("class");
+    const studentIds = students.map((student, index) => {
+      const id = makeId("student");
+      state.students[id] = {
+        id,
+        name: student.name,
+        classId,
+        subjectIds: [subjects[index % subjects.length].id],
+      };
+      return id;
+    });
+    state.classes[classId] = {
+      id: classId,
+      name: "First Year",
+      collegeId,
+      studentIds,
+    };
+    state.colleges[collegeId] = {
+      id: collegeId,
+      name,
+      city,
+      classIds: [classId],
+    };
+    state.collegeIds.push(collegeId);
+  }
+  return state;
+}
+
+// Action creators -> ids are made here, the reducer stays pure
+export const actions = {
+  addCollege: (name, city = "") => ({
+    type: "college/add",
+    id: makeId("college"),
+    name,
+    city,
+  }),
+  renameCollege: (id, name) => ({ type: "college/rename", id, name }),
+  removeCollege: (id) => ({ type: "college/remove", id }),
+
+  addClass: (collegeId, name) => ({
+    type: "class/add",
+    id: makeId("class"),
+    collegeId,
+    name,
+  }),
+  renameClass: (id, name) => ({ type: "class/rename", id, name }),
+  removeClass: (id) => ({ type: "class/remove", id }),
+
+  addStudent: (classId, name) => ({
+    type: "student/add",
+    id: makeId("student"),
+    classId,
+    name,
+  }),
+  renameStudent: (id, name) => ({ type: "student/rename", id, name }),
+  removeStudent: (id) => ({ type: "student/remove", id }),
+  enroll: (studentId, subjectId) => ({
+    type: "student/enroll",
+    studentId,
+    subjectId,
+  }),
+  unenroll: (studentId, subjectId) => ({
+    type: "student/unenroll",
+    studentId,
+    subjectId,
+  }),
+
+  addSubject: (name) => ({ type: "subject/add", id: makeId("subject"), name }),
+  renameSubject: (id, name) => ({ type: "subject/rename", id, name }),
+  removeSubject: (id) => ({ type: "subject/remove", id }),
+};
+
+// { a: 1, b: 2 } minus ["a"] -> { b: 2 }
+function omit(table, ids) {
+  const rest = { ...table };
+  ids.forEach((id) => delete rest[id]);
+  return rest;
+}
+
+function patch(table, id, changes) {
+  return table[id] ? { ...table, [id]: { ...table[id], ...changes } } : table;
+}
+
+// Removing a level removes everything below it
+function removeStudents(state, studentIds) {
+  return { ...state, students: omit(state.students, studentIds) };
+}
+
+function removeClasses(state, classIds) {
+  const studentIds = classIds.flatMap((id) => state.classes[id].studentIds);
+  return {
+    ...removeStudents(state, studentIds),
+    classes: omit(state.classes, classIds),
+  };
+}
+
+export function collegeReducer(state, action) {
+  switch (action.type) {
+    case "college/add":
+      return {
+        ...state,
+        collegeIds: [...state.collegeIds, action.id],
+        colleges: {
+          ...state.colleges,
+          [action.id]: {
+            id: action.id,
+            name: action.name,
+            city: action.city,
+            classIds: [],
+          },
+        },
+      };
+    case "college/rename":
+      return {
+        ...state,
+        colleges: patch(state.colleges, action.id, { name: action.name }),
+      };
+    case "college/remove": {
+      const college = state.colleges[action.id];
+      if (!college) return state;
+      const next = removeClasses(state, college.classIds);
+      return {
+        ...next,
+        collegeIds: state.collegeIds.filter((id) => id !== action.id),
+        colleges: omit(state.colleges, [action.id]),
+      };
+    }
+
+    case "class/add": {
+      const college = state.colleges[action.collegeId];
+      if (!college) return state;
+      return {
+        ...state,
+        colleges: patch(state.colleges, college.id, {
+          classIds: [...college.classIds, action.id],
+        }),
+        classes: {
+          ...state.classes,
+          [action.id]: {
+            id: action.id,
+            name: action.name,
+            collegeId: college.id,
+            studentIds: [],
+          },
+        },
+      };
+    }
+    case "class/rename":
+      return {
+        ...state,
+        classes: patch(state.classes, action.id, { name: action.name }),
+      };
+    case "class/remove": {
+      const classItem = state.classes[action.id];
+      if (!classItem) return state;
+      const college = state.colleges[classItem.collegeId];
+      return {
+        ...removeClasses(state, [action.id]),
+        colleges: patch(state.colleges, college.id, {
+          classIds: college.classIds.filter((id) => id !== action.id),
+        }),
+      };
+    }
+
+    case "student/add": {
+      const classItem = state.classes[action.classId];
+      if (!classItem) return state;
+      return {
+        ...state,
+        classes: patch(state.classes, classItem.id, {
+          studentIds: [...classItem.studentIds, action.id],
+        }),
+        students: {
+          ...state.students,
+          [action.id]: {
+            id: action.id,
+            name: action.name,
+            classId: classItem.id,
+            subjectIds: [],
+          },
+        },
+      };
+    }
+    case "student/rename":
+      return {
+        ...state,
+        students: patch(state.students, action.id, { name: action.name }),
+      };
+    case "student/remove": {
+      const student = state.students[action.id];
+      if (!student) return state;
+      const classItem = state.classes[student.classId];
+      return {
+        ...removeStudents(state, [action.id]),
+        classes: patch(state.classes, classItem.id, {
+          studentIds: classItem.studentIds.filter((id) => id !== action.id),
+        }),
+      };
+    }
+    case "student/enroll": {
+      const student = state.students[action.studentId];
+      if (!student || student.subjectIds.includes(action.subjectId)) {
+        return state;
+      }
+      return {
+        ...state,
+        students: patch(state.students, student.id, {
+          subjectIds: [...student.subjectIds, action.subjectId],
+        }),
+      };
+    }
+    case "student/unenroll": {
+      const student = state.students[action.studentId];
+      if (!student) return state;
+      return {
+        ...state,
+        students: patch(state.students, student.id, {
+          subjectIds: student.subjectIds.filter(
+            (id) => id !== action.subjectId
+          ),
+        }),
+      };
+    }
+
+    case "subject/add":
+      return {
+        ...state,
+        subjectIds: [...state.subjectIds, action.id],
+        subjects: {
+          ...state.subjects,
+          [action.id]: { id: action.id, name: action.name },
+        },
+      };
+    case "subject/rename":
+      return {
+        ...state,
+        subjects: patch(state.subjects, action.id, { name: action.name }),
+      };
+    case "subject/remove": {
+      // Only students that took the subject get a new object
+      const students = { ...state.students };
+      for (const student of Object.values(state.students)) {
+        if (student.subjectIds.includes(action.id)) {
+          students[student.id] = {
+            ...student,
+            subjectIds: student.subjectIds.filter((id) => id !== action.id),
+          };
+        }
+      }
+      return {
+        ...state,
+        students,
+        subjectIds: state.subjectIds.filter((id) => id !== action.id),
+        subjects: omit(state.subjects, [action.id]),
+      };
+    }
+
+    default:
+      throw new Error(`collegeReducer: unknown action "${action.type}"`);
+  }
+}
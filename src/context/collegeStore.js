@@ -0,0 +1,37 @@
+import { createContext, useContext, useSyncExternalStore } from "react";
+
+// { getState, subscribe, dispatch } -> the object never changes, so the
+// provider itself never re-renders its consumers. They subscribe to the
+// slice they select instead.
+export const CollegeStoreCtxt = createContext(null);
+
+function useCollegeStore() {
+  const store = useContext(CollegeStoreCtxt);
+  if (!store)
+    throw new Error("College store hooks must be used inside <CollegeStore/>");
+  return store;
+}
+
+export function useCollegeDispatch() {
+  return useCollegeStore().dispatch;
+}
+
+// Re-renders only when selector(state) changes (Object.is) -> select
+// stored objects / arrays, never build new ones in here.
+export function useCollegeSelector(selector) {
+  const store = useCollegeStore();
+  return useSyncExternalStore(store.subscribe, () =>
+    selector(store.getState())
+  );
+}
+
+export const useCollegeIds = () => useCollegeSelector((s) => s.collegeIds);
+export const useCollege = (id) => useCollegeSelector((s) => s.colleges[id]);
+export const useClass = (id) => useCollegeSelector((s) => s.classes[id]);
+export const useStudent = (id) => useCollegeSelector((s) => s.students[id]);
+export const useSubjectIds = () => useCollegeSelector((s) => s.subjectIds);
+export const useSubjects = () => useCollegeSelector((s) => s.subjects);
+// Subject id -> its current name, "" when there is no such subject (removed,
+// or only known to another tab's store)
+export const useSubjectName = (id) =>
+  useCollegeSelector((s) => s.subjects[id]?.name ?? "");
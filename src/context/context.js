@@ -1,3 +1,7 @@
 import { createContext } from "react";
 
 export const SubjectCtxt = createContext("Sociology/ default sub.");
+
+// Every <SubjectProvider/> above a component, outermost first:
+// [{ id, label, value, changedAt }, ...] -> what the inspector shows
+export const SubjectChainCtxt = createContext([]);
@@ -0,0 +1,46 @@
+import { useContext, useEffect, useId, useSyncExternalStore } from "react";
+import { SubjectChainCtxt, SubjectCtxt } from "./context";
+import useTrackedValue from "./useTrackedValue";
+
+// Registry of mounted SubjectCtxt consumers -> read by <SubjectInspector/>
+const consumers = new Map();
+const listeners = new Set();
+let snapshot = [];
+
+function emit() {
+  snapshot = [...consumers.values()];
+  listeners.forEach((listener) => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useSubjectConsumers() {
+  return useSyncExternalStore(subscribe, () => snapshot);
+}
+
+// useContext(SubjectCtxt) that also reports itself to the inspector:
+// { id, label, value, changedAt, chain }
+export function useSubject(label) {
+  const id = useId();
+  const value = useContext(SubjectCtxt);
+  const chain = useContext(SubjectChainCtxt);
+  const tracked = useTrackedValue(value);
+
+  useEffect(() => {
+    consumers.set(id, { id, label, ...tracked, chain });
+    emit();
+  }, [id, label, tracked, chain]);
+
+  useEffect(
+    () => () => {
+      consumers.delete(id);
+      emit();
+    },
+    [id]
+  );
+
+  return value;
+}
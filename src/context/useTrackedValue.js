@@ -0,0 +1,18 @@
+import { useState } from "react";
+
+// { value, changedAt } -> changedAt moves only when 'value' really changes
+// (state adjusted during render, like usePrevious)
+function useTrackedValue(value) {
+  const [tracked, setTracked] = useState(() => ({
+    value,
+    changedAt: Date.now(),
+  }));
+  if (!Object.is(tracked.value, value)) {
+    const next = { value, changedAt: Date.now() };
+    setTracked(next);
+    return next;
+  }
+  return tracked;
+}
+
+export default useTrackedValue;
@@ -1,5 +1,17 @@
-import React from "react";
+import React, { useRef, useState } from "react";
 import useToggle from "./useToggle";
+import useLocalStorage from "./useLocalStorage";
+import useDebounce from "./useDebounce";
+import useThrottle from "./useThrottle";
+import useInterval from "./useInterval";
+import usePrevious from "./usePrevious";
+import useMediaQuery from "./useMediaQuery";
+import useOnClickOutside from "./useOnClickOutside";
+import useEventListener from "./useEventListener";
+import useAsync from "./useAsync";
+import useStateMachine from "./useStateMachine";
+import { mockFetch } from "../data-layer/mockApi";
+import { vars } from "../theme/themes";
 
 function CustomHooks() {
   const [value, toggleValue] = useToggle(true);
@@ -16,8 +28,268 @@ function CustomHooks() {
       <button onClick={() => setData(true)}>Show 2nd Heading</button>
       <button onClick={() => setData(false)}>Hide 2nd Heading</button>
       {data ? <h2>Second Heading..</h2> : null}
+      <hr />
+      <LocalStorageDemo />
+      <DebounceThrottleDemo />
+      <IntervalDemo />
+      <PreviousDemo />
+      <MediaQueryDemo />
+      <ClickOutsideDemo />
+      <EventListenerDemo />
+      <AsyncDemo />
+      <FanDemo />
+      <DoorDemo />
     </div>
   );
 }
 
+function HookPanel({ title, children }) {
+  return (
+    <section
+      style={{
+        border: `1px solid ${vars.borderMuted}`,
+        borderRadius: "10px",
+        padding: "0.5em 1em",
+        margin: "1em 0",
+      }}>
+      <h3>{title}</h3>
+      {children}
+    </section>
+  );
+}
+
+function LocalStorageDemo() {
+  const [note, setNote, removeNote] = useLocalStorage("custom-hooks:note", "");
+  return (
+    <HookPanel title="useLocalStorage( ) 💾">
+      <p>Survives a reload. Open this page in a 2nd tab, edits sync.</p>
+      <input
+        type="text"
+        placeholder="Write a note.."
+        value={note}
+        onChange={(evt) => setNote(evt.target.value)}
+      />
+      <button onClick={removeNote}>Remove</button>
+    </HookPanel>
+  );
+}
+
+function DebounceThrottleDemo() {
+  const [text, setText] = useState("");
+  const debounced = useDebounce(text, 500);
+  const throttled = useThrottle(text, 500);
+  return (
+    <HookPanel title="useDebounce( ) / useThrottle( ) ⏳">
+      <input
+        type="text"
+        placeholder="Type fast.."
+        value={text}
+        onChange={(evt) => setText(evt.target.value)}
+      />
+      <p>Live: {text}</p>
+      <p>Debounced (after 500ms pause): {debounced}</p>
+      <p>Throttled (max once / 500ms): {throttled}</p>
+    </HookPanel>
+  );
+}
+
+function IntervalDemo() {
+  const [count, setCount] = useState(0);
+  const [delay, setDelay] = useState(1000);
+  const [running, setRunning] = useState(true);
+  // Callback reads the fresh 'count', the timer only restarts on delay change
+  useInterval(() => setCount(count + 1), running ? delay : null);
+  return (
+    <HookPanel title="useInterval( ) ⏱️">
+      <h2>{count}</h2>
+      <button onClick={() => setRunning(!running)}>
+        {running ? "Pause ⏸️" : "Resume ▶️"}
+      </button>
+      <select
+        value={delay}
+        onChange={(evt) => setDelay(Number(evt.target.value))}>
+        <option value={1000}>Every 1s</option>
+        <option value={500}>Every 0.5s</option>
+        <option value={100}>Every 0.1s</option>
+      </select>
+    </HookPanel>
+  );
+}
+
+function PreviousDemo() {
+  const [count, setCount] = useState(0);
+  const previous = usePrevious(count);
+  return (
+    <HookPanel title="usePrevious( ) 🔙">
+      <p>
+        Now: {count}, before: {previous ?? "-"}
+      </p>
+      <button onClick={() => setCount(count - 1)}>-1</button>
+      <button onClick={() => setCount(count + 1)}>+1</button>
+    </HookPanel>
+  );
+}
+
+function MediaQueryDemo() {
+  const isWide = useMediaQuery("(min-width: 800px)");
+  const prefersDark = useMediaQuery("(prefers-color-scheme: dark)");
+  const reducedMotion = useMediaQuery("(prefers-reduced-motion: reduce)");
+  return (
+    <HookPanel title="useMediaQuery( ) 📱">
+      <p>Resize the window or change the OS theme.</p>
+      <ul>
+        <li>Window: {isWide ? "wide 🖥️" : "narrow 📱"}</li>
+        <li>Color scheme: {prefersDark ? "dark 🌙" : "light ☀️"}</li>
+        <li>Reduced motion: {reducedMotion ? "yes" : "no"}</li>
+      </ul>
+    </HookPanel>
+  );
+}
+
+function ClickOutsideDemo() {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+  useOnClickOutside(menuRef, () => setOpen(false));
+  return (
+    <HookPanel title="useOnClickOutside( ) 🖱️">
+      <div ref={menuRef} style={{ display: "inline-block" }}>
+        <button aria-expanded={open} onClick={() => setOpen(!open)}>
+          Menu ☰
+        </button>
+        {open ? (
+          <ul
+            style={{
+              border: `1px solid ${vars.borderMuted}`,
+              padding: "0.5em 1.5em",
+            }}>
+            <li>Profile</li>
+            <li>Settings</li>
+            <li>Logout</li>
+          </ul>
+        ) : null}
+      </div>
+      <p>Click anywhere outside the menu to close it.</p>
+    </HookPanel>
+  );
+}
+
+function EventListenerDemo() {
+  const [lastKey, setLastKey] = useState(null);
+  const [width, setWidth] = useState(window.innerWidth);
+  useEventListener("keydown", (evt) => setLastKey(evt.key));
+  useEventListener("resize", () => setWidth(window.innerWidth));
+  return (
+    <HookPanel title="useEventListener( ) 👂">
+      <p>Last key pressed: {lastKey ?? "-"}</p>
+      <p>Window width: {width}px</p>
+    </HookPanel>
+  );
+}
+
+function AsyncDemo() {
+  const [resource, setResource] = useState("employees");
+  const { status, data, error, run, reset } = useAsync((name) =>
+    mockFetch(name, { delay: 800 })
+  );
+  return (
+    <HookPanel title="useAsync( ) 🌐">
+      <select
+        value={resource}
+        onChange={(evt) => setResource(evt.target.value)}>
+        <option value="employees">Employees</option>
+        <option value="hobbies">Hobbies</option>
+        <option value="teachers">Teachers (404 💥)</option>
+      </select>
+      <button onClick={() => run(resource).catch(() => {})}>Load</button>
+      <button onClick={reset}>Reset</button>
+      <p>Status: {status}</p>
+      {status === "pending" ? <p>Loading... ⌛</p> : null}
+      {status === "error" ? (
+        <p style={{ color: vars.danger }}>⚠️ {error.message}</p>
+      ) : null}
+      {status === "success" ? <p>Got {data.length} records ✅</p> : null}
+    </HookPanel>
+  );
+}
+
+const fanIcons = { off: "⏹️", low: "🌬️", high: "🌪️" };
+
+function FanDemo() {
+  // Cycle mode -> just the list of states, NEXT / PREV wrap around
+  const [speed, send] = useStateMachine(["off", "low", "high"]);
+  return (
+    <HookPanel title="useStateMachine( ) cycle mode 🔁">
+      <h2>
+        Fan: {speed} {fanIcons[speed]}
+      </h2>
+      <button onClick={() => send("PREV")}>◀️ Slower</button>
+      <button onClick={() => send("NEXT")}>Faster ▶️</button>
+    </HookPanel>
+  );
+}
+
+const DOOR_CODE = "1234";
+
+function DoorDemo() {
+  const [code, setCode] = useState("");
+  const [log, setLog] = useState([]);
+  const addLog = (line) => setLog((prev) => [...prev.slice(-4), line]);
+
+  const [door, send, { can, rejected }] = useStateMachine({
+    initial: "closed",
+    states: {
+      open: {
+        entry: () => addLog("entry: open 🚪"),
+        exit: () => addLog("exit: open"),
+        on: { CLOSE: "closed" },
+      },
+      closed: {
+        on: { OPEN: "open", LOCK: "locked" },
+      },
+      locked: {
+        entry: () => addLog("entry: locked 🔒"),
+        exit: () => addLog("exit: locked"),
+        on: {
+          UNLOCK: {
+            target: "closed",
+            guard: (event) => event.code === DOOR_CODE,
+            action: () => setCode(""),
+          },
+        },
+      },
+    },
+  });
+
+  return (
+    <HookPanel title="useStateMachine( ) guards + entry/exit 🔐">
+      <h2>Door: {door}</h2>
+      {["OPEN", "CLOSE", "LOCK"].map((event) => (
+        <button
+          key={event}
+          onClick={() => send(event)}
+          style={{ opacity: can(event) ? 1 : 0.5 }}>
+          {event}
+        </button>
+      ))}
+      <input
+        type="text"
+        placeholder={`Code (${DOOR_CODE})`}
+        value={code}
+        onChange={(evt) => setCode(evt.target.value)}
+      />
+      <button onClick={() => send({ type: "UNLOCK", code })}>UNLOCK</button>
+      {rejected ? (
+        <p style={{ color: vars.danger }}>
+          ⚠️ {rejected.event} rejected while {rejected.state}
+        </p>
+      ) : null}
+      <ul>
+        {log.map((line, index) => (
+          <li key={index}>{line}</li>
+        ))}
+      </ul>
+    </HookPanel>
+  );
+}
+
 export default CustomHooks;
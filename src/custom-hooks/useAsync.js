@@ -0,0 +1,70 @@
+import {
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from "react";
+
+const idle = { status: "idle", data: undefined, error: null };
+
+// const { status, data, error, run, reset } = useAsync(fetchUser)
+// run(...args) calls asyncFn(...args) and tracks it:
+//   "idle" -> "pending" -> "success" | "error"
+// Only the latest run( ) may update the state -> slow older responses and
+// responses arriving after unmount are dropped.
+// { immediate: true } runs it once on mount (no args).
+function useAsync(asyncFn, { immediate = false } = {}) {
+  const [state, setState] = useState(
+    immediate ? { ...idle, status: "pending" } : idle
+  );
+  const latestCall = useRef(0);
+  const fnRef = useRef(asyncFn);
+
+  useLayoutEffect(() => {
+    fnRef.current = asyncFn;
+  });
+
+  const run = useCallback(async (...args) => {
+    const callId = ++latestCall.current;
+    setState((prev) => ({ ...prev, status: "pending", error: null }));
+    try {
+      const data = await fnRef.current(...args);
+      if (callId === latestCall.current) {
+        setState({ status: "success", data, error: null });
+      }
+      return data;
+    } catch (error) {
+      if (callId === latestCall.current) {
+        setState((prev) => ({ ...prev, status: "error", error }));
+      }
+      throw error;
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    latestCall.current++;
+    setState(idle);
+  }, []);
+
+  useEffect(() => {
+    // Bumping the id on unmount -> the pending run( ) can't set state
+    const calls = latestCall;
+    if (immediate) run().catch(() => {}); // error is in state already
+    return () => {
+      calls.current++;
+    };
+  }, [immediate, run]);
+
+  return {
+    ...state,
+    isIdle: state.status === "idle",
+    isPending: state.status === "pending",
+    isSuccess: state.status === "success",
+    isError: state.status === "error",
+    run,
+    reset,
+  };
+}
+
+export default useAsync;
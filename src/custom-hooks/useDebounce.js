@@ -0,0 +1,16 @@
+import { useEffect, useState } from "react";
+
+// Value that only updates once 'value' stopped changing for 'delay' ms
+// -> search boxes: fire the request when the user pauses typing.
+function useDebounce(value, delay = 500) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timeoutId);
+  }, [value, delay]);
+
+  return debounced;
+}
+
+export default useDebounce;
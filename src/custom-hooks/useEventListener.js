@@ -0,0 +1,35 @@
+import { useEffect, useLayoutEffect, useRef } from "react";
+
+// useEventListener("keydown", handler)               -> window
+// useEventListener("scroll", handler, boxRef)         -> a ref'd element
+// useEventListener("visibilitychange", handler, document)
+// The latest handler is always called, but the listener is only re-added
+// when the event name / target / capture flag change.
+function useEventListener(
+  eventName,
+  handler,
+  target,
+  { capture = false } = {}
+) {
+  const handlerRef = useRef(handler);
+
+  useLayoutEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    const element =
+      target === undefined
+        ? window
+        : target && "current" in target
+          ? target.current
+          : target;
+    if (!element?.addEventListener) return;
+
+    const listener = (evt) => handlerRef.current(evt);
+    element.addEventListener(eventName, listener, capture);
+    return () => element.removeEventListener(eventName, listener, capture);
+  }, [eventName, target, capture]);
+}
+
+export default useEventListener;
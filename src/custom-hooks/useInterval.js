@@ -0,0 +1,20 @@
+import { useEffect, useLayoutEffect, useRef } from "react";
+
+// setInterval( ) + cleanup on unmount as a hook (ClockContainer ticks with it).
+// The callback can change every render without restarting the timer,
+// delay = null pauses it.
+function useInterval(callback, delay) {
+  const savedCallback = useRef(callback);
+
+  useLayoutEffect(() => {
+    savedCallback.current = callback;
+  });
+
+  useEffect(() => {
+    if (delay === null) return;
+    const intervalId = setInterval(() => savedCallback.current(), delay);
+    return () => clearInterval(intervalId); // Cleanup on unmount / delay change
+  }, [delay]);
+}
+
+export default useInterval;
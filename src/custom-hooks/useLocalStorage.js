@@ -0,0 +1,88 @@
+import { useCallback, useMemo, useState, useSyncExternalStore } from "react";
+
+// Same-tab listeners -> the 'storage' event only fires in OTHER tabs
+const listeners = new Set();
+
+function notify(key) {
+  listeners.forEach((listener) => listener(key));
+}
+
+function readRaw(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null; // storage blocked (privacy mode..) -> behave as empty
+  }
+}
+
+function parse(raw, initialValue) {
+  if (raw === null) return initialValue;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return initialValue;
+  }
+}
+
+// const [name, setName, removeName] = useLocalStorage("name", "")
+// Values are JSON encoded. Every component using the same key - in this tab
+// or any other tab of the app - sees the same value.
+function useLocalStorage(key, initialValue) {
+  // Only the fallback for "nothing stored" -> the first one is kept, so a
+  // new [] / {} literal on every render doesn't matter
+  const [fallback] = useState(initialValue);
+
+  const subscribe = useCallback(
+    (callback) => {
+      const onLocalChange = (changedKey) => {
+        if (changedKey === key) callback();
+      };
+      const onStorage = (evt) => {
+        // key === null -> localStorage.clear( ) in another tab
+        if (evt.key === key || evt.key === null) callback();
+      };
+      listeners.add(onLocalChange);
+      window.addEventListener("storage", onStorage);
+      return () => {
+        listeners.delete(onLocalChange);
+        window.removeEventListener("storage", onStorage);
+      };
+    },
+    [key]
+  );
+
+  // The raw string is the snapshot -> stable between renders, parsed once
+  const raw = useSyncExternalStore(
+    subscribe,
+    () => readRaw(key),
+    () => null
+  );
+  const value = useMemo(() => parse(raw, fallback), [raw, fallback]);
+
+  const setValue = useCallback(
+    (next) => {
+      const current = parse(readRaw(key), fallback);
+      const resolved = typeof next === "function" ? next(current) : next;
+      try {
+        window.localStorage.setItem(key, JSON.stringify(resolved));
+      } catch (error) {
+        console.error(`useLocalStorage: couldn't save "${key}"`, error);
+      }
+      notify(key);
+    },
+    [key, fallback]
+  );
+
+  const remove = useCallback(() => {
+    try {
+      window.localStorage.removeItem(key);
+    } catch {
+      // nothing stored -> nothing to remove
+    }
+    notify(key);
+  }, [key]);
+
+  return [value, setValue, remove];
+}
+
+export default useLocalStorage;
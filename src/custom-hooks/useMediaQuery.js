@@ -0,0 +1,20 @@
+import { useCallback, useSyncExternalStore } from "react";
+
+// const isWide = useMediaQuery("(min-width: 800px)") -> re-renders on change
+function useMediaQuery(query) {
+  const subscribe = useCallback(
+    (callback) => {
+      const mediaList = window.matchMedia(query);
+      mediaList.addEventListener("change", callback);
+      return () => mediaList.removeEventListener("change", callback);
+    },
+    [query]
+  );
+  return useSyncExternalStore(
+    subscribe,
+    () => window.matchMedia(query).matches,
+    () => false
+  );
+}
+
+export default useMediaQuery;
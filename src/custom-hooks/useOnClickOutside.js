@@ -0,0 +1,16 @@
+import useEventListener from "./useEventListener";
+
+// Calls handler(evt) for presses outside ref.current -> menus, popovers..
+// 'mousedown' / 'touchstart' instead of 'click' so dragging out of the
+// element and releasing outside doesn't count.
+function useOnClickOutside(ref, handler) {
+  function onPress(evt) {
+    const element = ref.current;
+    if (!element || element.contains(evt.target)) return;
+    handler(evt);
+  }
+  useEventListener("mousedown", onPress, document);
+  useEventListener("touchstart", onPress, document);
+}
+
+export default useOnClickOutside;
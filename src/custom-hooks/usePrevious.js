@@ -0,0 +1,17 @@
+import { useState } from "react";
+
+// Value from the previous render where 'value' was different
+// (undefined until it changes once). State instead of a ref -> nothing is
+// read from a ref during render.
+function usePrevious(value) {
+  const [current, setCurrent] = useState(value);
+  const [previous, setPrevious] = useState(undefined);
+
+  if (!Object.is(value, current)) {
+    setPrevious(current);
+    setCurrent(value);
+  }
+  return previous;
+}
+
+export default usePrevious;
@@ -0,0 +1,152 @@
+import { useCallback, useSyncExternalStore } from "react";
+
+// const [color, setColor] = useSharedState("clock:color", "yellow")
+// useState( ) that every tab of the app (same origin) shares.
+// Transport: BroadcastChannel, or 'storage' events where it's missing.
+//
+// Conflicts: every update carries { version, tabId }. version is a Lamport
+// clock -> an update made after seeing another one always has a higher
+// version. Two tabs changing the same key at the same moment produce the
+// same version; then the higher tabId wins. Every tab applies the same rule,
+// so all of them end up on the same value. In storage mode the stored entry
+// follows the rule too -> a tab only overwrites it with an update that beats
+// it, and puts its own winner back if a losing update got written anyway.
+
+const CHANNEL_NAME = "shared-state";
+const STORAGE_PREFIX = "shared-state:";
+
+const tabId =
+  globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random()}`;
+
+// key -> { value, version, tabId }. version 0 = local initial value
+const entries = new Map();
+const listeners = new Map();
+
+const channel =
+  typeof BroadcastChannel === "function"
+    ? new BroadcastChannel(CHANNEL_NAME)
+    : null;
+
+function beats(entry, current) {
+  if (!current) return true;
+  if (entry.version !== current.version) return entry.version > current.version;
+  return entry.tabId > current.tabId;
+}
+
+function accept(key, entry) {
+  if (!beats(entry, entries.get(key))) return;
+  entries.set(key, entry);
+  listeners.get(key)?.forEach((listener) => listener());
+}
+
+// '{"value":..,"version":3,"tabId":".."}' -> entry, anything else -> null
+function parseEntry(raw) {
+  try {
+    const entry = JSON.parse(raw);
+    return typeof entry?.version === "number" ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+function readStored(key) {
+  try {
+    return parseEntry(window.localStorage.getItem(STORAGE_PREFIX + key));
+  } catch {
+    return null;
+  }
+}
+
+function writeStored(key, entry) {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+  } catch {
+    // storage blocked -> this tab still works, it just can't share
+  }
+}
+
+function publish(key, entry) {
+  if (channel) {
+    channel.postMessage({ type: "update", key, entry });
+    return;
+  }
+  // A newer entry already on disk -> it wins here too, ours is dropped
+  const stored = readStored(key);
+  if (beats(entry, stored)) writeStored(key, entry);
+  else accept(key, stored);
+}
+
+if (channel) {
+  channel.onmessage = ({ data }) => {
+    if (data.type === "update") {
+      accept(data.key, data.entry);
+    } else if (data.type === "hello") {
+      // A new tab asks for the current value -> answer if we changed it
+      const entry = entries.get(data.key);
+      if (entry?.version > 0) {
+        channel.postMessage({ type: "update", key: data.key, entry });
+      }
+    }
+  };
+} else {
+  window.addEventListener("storage", (evt) => {
+    if (!evt.key?.startsWith(STORAGE_PREFIX) || evt.newValue === null) return;
+    const key = evt.key.slice(STORAGE_PREFIX.length);
+    const entry = parseEntry(evt.newValue);
+    if (!entry) return; // not ours / corrupted -> ignore
+    accept(key, entry);
+    // A losing update overwrote our winner on disk -> put the winner back,
+    // so a tab opened later reads the value every live tab agreed on
+    const current = entries.get(key);
+    if (current?.version > 0 && beats(current, entry)) {
+      writeStored(key, current);
+    }
+  });
+}
+
+function getEntry(key, initialValue) {
+  if (!entries.has(key)) {
+    entries.set(key, { value: initialValue, version: 0, tabId: "" });
+    // storage fallback -> the agreed value is already on disk
+    if (!channel) {
+      const stored = readStored(key);
+      if (stored) accept(key, stored);
+    }
+  }
+  return entries.get(key);
+}
+
+function useSharedState(key, initialValue) {
+  const subscribe = useCallback(
+    (callback) => {
+      if (!listeners.has(key)) {
+        listeners.set(key, new Set());
+        channel?.postMessage({ type: "hello", key });
+      }
+      const keyListeners = listeners.get(key);
+      keyListeners.add(callback);
+      return () => keyListeners.delete(callback);
+    },
+    [key]
+  );
+
+  const entry = useSyncExternalStore(subscribe, () =>
+    getEntry(key, initialValue)
+  );
+
+  const setValue = useCallback(
+    (next) => {
+      // The render already created the entry -> it's always there
+      const current = entries.get(key);
+      const value = typeof next === "function" ? next(current.value) : next;
+      const update = { value, version: current.version + 1, tabId };
+      accept(key, update);
+      publish(key, update);
+    },
+    [key]
+  );
+
+  return [entry.value, setValue];
+}
+
+export default useSharedState;
@@ -0,0 +1,131 @@
+import {
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from "react";
+
+// Config:
+// {
+//   initial: "closed",
+//   states: {
+//     closed: {
+//       entry: (event) => {}, exit: (event) => {},
+//       on: {
+//         OPEN: "open",                                   // plain target
+//         LOCK: { target: "locked", action: (event) => {} },
+//         UNLOCK: [{ target: "closed", guard: (event, state) => bool }, ...],
+//       },
+//     },
+//     ...
+//   },
+// }
+// Or just a list -> cycle mode: ["off", "low", "high"] with NEXT / PREV.
+
+export function cycleConfig(states, { initial = states[0] } = {}) {
+  const at = (index) => states[(index + states.length) % states.length];
+  return {
+    initial,
+    states: Object.fromEntries(
+      states.map((name, index) => [
+        name,
+        { on: { NEXT: at(index + 1), PREV: at(index - 1) } },
+      ])
+    ),
+  };
+}
+
+function normalize(config) {
+  return Array.isArray(config) ? cycleConfig(config) : config;
+}
+
+// Typos in a config should fail loudly on mount, not on the 5th click
+function checkConfig({ initial, states }) {
+  if (!states[initial]) {
+    throw new Error(`useStateMachine: unknown initial state "${initial}"`);
+  }
+  for (const [name, { on = {} }] of Object.entries(states)) {
+    for (const [event, transitions] of Object.entries(on)) {
+      for (const transition of [].concat(transitions)) {
+        const target =
+          typeof transition === "string" ? transition : transition.target;
+        if (!states[target]) {
+          throw new Error(
+            `useStateMachine: "${name}" --${event}--> unknown state "${target}"`
+          );
+        }
+      }
+    }
+  }
+}
+
+// First transition (of the ones listed for the event) whose guard passes
+function findTransition({ states }, state, event) {
+  const candidates = [].concat(states[state].on?.[event.type] ?? []);
+  for (const candidate of candidates) {
+    const transition =
+      typeof candidate === "string" ? { target: candidate } : candidate;
+    if (!transition.guard || transition.guard(event, state)) return transition;
+  }
+  return null;
+}
+
+// const [state, send, { can, rejected }] = useStateMachine(config)
+// send("OPEN") or send({ type: "UNLOCK", code }) -> true if it moved.
+// Events the current state doesn't accept (or whose guards all fail) are
+// rejected: nothing runs, the state stays, 'rejected' says what happened.
+// The current state lives in a ref too -> several send( ) calls in one
+// event handler each see the result of the previous one.
+function useStateMachine(config) {
+  const [initial] = useState(() => {
+    const normalized = normalize(config);
+    checkConfig(normalized);
+    return normalized.initial;
+  });
+  const [state, setState] = useState(initial);
+  const [rejected, setRejected] = useState(null);
+  const stateRef = useRef(initial);
+  const configRef = useRef(normalize(config));
+
+  // Latest entry/exit/guard callbacks, without re-creating send( )
+  useLayoutEffect(() => {
+    configRef.current = normalize(config);
+  });
+
+  useEffect(() => {
+    configRef.current.states[initial].entry?.({ type: "INIT" });
+  }, [initial]);
+
+  const send = useCallback((eventOrType) => {
+    const event =
+      typeof eventOrType === "string" ? { type: eventOrType } : eventOrType;
+    const from = stateRef.current;
+    const transition = findTransition(configRef.current, from, event);
+    if (!transition) {
+      setRejected({ state: from, event: event.type });
+      return false;
+    }
+    const { states } = configRef.current;
+    states[from].exit?.(event);
+    transition.action?.(event);
+    states[transition.target].entry?.(event);
+    stateRef.current = transition.target;
+    setState(transition.target);
+    setRejected(null);
+    return true;
+  }, []);
+
+  const can = useCallback(
+    (eventOrType) => {
+      const event =
+        typeof eventOrType === "string" ? { type: eventOrType } : eventOrType;
+      return Boolean(findTransition(configRef.current, state, event));
+    },
+    [state]
+  );
+
+  return [state, send, { can, rejected }];
+}
+
+export default useStateMachine;
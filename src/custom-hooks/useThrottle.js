@@ -0,0 +1,24 @@
+import { useEffect, useRef, useState } from "react";
+
+// Value that updates at most once per 'interval' ms, and always ends up at
+// the latest value -> scroll / mouse positions, resize..
+function useThrottle(value, interval = 500) {
+  const [throttled, setThrottled] = useState(value);
+  const lastUpdated = useRef(0);
+
+  useEffect(() => {
+    const remaining = interval - (Date.now() - lastUpdated.current);
+    const timeoutId = setTimeout(
+      () => {
+        lastUpdated.current = Date.now();
+        setThrottled(value);
+      },
+      Math.max(0, remaining)
+    );
+    return () => clearTimeout(timeoutId);
+  }, [value, interval]);
+
+  return throttled;
+}
+
+export default useThrottle;
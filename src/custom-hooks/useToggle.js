@@ -1,15 +1,31 @@
-import React, { useState } from "react";
+import { useCallback } from "react";
+import useStateMachine from "./useStateMachine";
 
-function useToggle(defaultVal ) {
-  const [value, setValue] = useState(defaultVal);
-  function toggleVal(val) {
-    if (typeof val !== "boolean") {
-      setValue(!value);
-    } else {
-      setValue(val);
-    }
-  }
-  return [value, toggleVal];
+// Two-state preset of useStateMachine( ).
+// toggleVal( ) flips, toggleVal(true / false) sets. The machine keeps the
+// current state in a ref -> two flips in one handler really flip twice.
+const toggleMachine = (defaultVal) => ({
+  initial: defaultVal ? "on" : "off",
+  states: {
+    on: { on: { TOGGLE: "off", ON: "on", OFF: "off" } },
+    off: { on: { TOGGLE: "on", ON: "on", OFF: "off" } },
+  },
+});
+
+function useToggle(defaultVal) {
+  const [state, send] = useStateMachine(toggleMachine(defaultVal));
+  const toggleVal = useCallback(
+    (val) => {
+      // onClick={toggleVal} passes the click event -> anything but a boolean flips
+      if (typeof val !== "boolean") {
+        send("TOGGLE");
+      } else {
+        send(val ? "ON" : "OFF");
+      }
+    },
+    [send]
+  );
+  return [state === "on", toggleVal];
 }
 
 export default useToggle;
@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { applyMapping, guessMapping, parseFile } from "./importData";
+import { vars } from "../theme/themes";
+
+// File input + drag-and-drop zone -> map columns -> onImport(records)
+function DataImporter({ fields, nestedKey, onImport }) {
+  const [parsed, setParsed] = useState(null); // { fileName, headers, rows, errors }
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null); // { imported, errors }
+  const [dragging, setDragging] = useState(false);
+
+  async function loadFile(file) {
+    if (!file) return;
+    try {
+      const result = await parseFile(file, nestedKey);
+      setParsed({ fileName: file.name, ...result });
+      setMapping(guessMapping(fields, result.headers));
+      setReport(null);
+    } catch (err) {
+      // Unreadable file -> nothing imported, the reason shows in the report
+      setParsed(null);
+      setReport({
+        imported: 0,
+        errors: [{ row: file.name, message: err.message }],
+      });
+    }
+  }
+
+  function handleDrop(evt) {
+    evt.preventDefault();
+    setDragging(false);
+    loadFile(evt.dataTransfer.files[0]);
+  }
+
+  function handleImport() {
+    const { records, errors } = applyMapping(
+      parsed.rows,
+      fields,
+      mapping,
+      nestedKey
+    );
+    if (records.length > 0) onImport(records);
+    setReport({
+      imported: records.length,
+      errors: [...parsed.errors, ...errors],
+    });
+    setParsed(null);
+  }
+
+  return (
+    <div style={{ margin: "10px 0" }}>
+      <div
+        onDragOver={(evt) => {
+          evt.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        style={{
+          border: `2px dashed ${dragging ? vars.accent : vars.border}`,
+          borderRadius: "7px",
+          padding: "10px",
+        }}>
+        <p>Drop a CSV / JSON file here 📥 or</p>
+        <input
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          onChange={(evt) => {
+            loadFile(evt.target.files[0]);
+            evt.target.value = ""; // same file can be picked again
+          }}
+        />
+      </div>
+
+      {parsed ? (
+        <div>
+          <h4>
+            Column mapping for <i>{parsed.fileName}</i> ({parsed.rows.length}{" "}
+            rows)
+          </h4>
+          {fields.map((field) => (
+            <div key={field.key}>
+              <label>
+                {field.label ?? field.key}
+                {field.required ? " *" : ""} ⬅️{" "}
+                <select
+                  value={mapping[field.key]}
+                  onChange={(evt) =>
+                    setMapping({ ...mapping, [field.key]: evt.target.value })
+                  }>
+                  <option value="">(skip)</option>
+                  {parsed.headers.map((header) => (
+                    <option key={header} value={header}>
+                      {header}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          ))}
+          <button onClick={handleImport}>Import ✅</button>
+          <button onClick={() => setParsed(null)}>Cancel ❌</button>
+        </div>
+      ) : null}
+
+      {report ? (
+        <div role="status">
+          <p>
+            Imported {report.imported} records, {report.errors.length} bad rows
+            skipped.
+          </p>
+          {report.errors.length > 0 ? (
+            <ul style={{ color: vars.danger }}>
+              {report.errors.map((err, i) => (
+                <li key={i}>
+                  {err.row}: {err.message}
+                </li>
+              ))}
+            </ul>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export default DataImporter;
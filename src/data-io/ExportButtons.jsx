@@ -0,0 +1,20 @@
+import React from "react";
+import { exportRecords } from "./exportData";
+
+// label: what the buttons say before the format, e.g. "Export matches as"
+function ExportButtons({ records, baseName, nestedKey, label = "Export" }) {
+  return (
+    <div style={{ margin: "5px 0" }}>
+      <button
+        onClick={() => exportRecords(records, "csv", baseName, nestedKey)}>
+        {label} CSV 📤
+      </button>
+      <button
+        onClick={() => exportRecords(records, "json", baseName, nestedKey)}>
+        {label} JSON 📤
+      </button>
+    </div>
+  );
+}
+
+export default ExportButtons;
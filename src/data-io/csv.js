@@ -0,0 +1,84 @@
+// Tiny RFC 4180 style CSV reader/writer -> quotes, "" escapes and CRLF.
+
+function parseLines(text) {
+  const lines = [];
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      fields.push(field);
+      lines.push(fields);
+      fields = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || fields.length > 0) {
+    fields.push(field);
+    lines.push(fields);
+  }
+  return lines;
+}
+
+// -> { headers, records: [{ header: value }], rowNumbers, errors }
+// rowNumbers[i] is the 1-based CSV row of records[i], header = row 1.
+export function parseCsv(text) {
+  const [headerLine = [], ...lines] = parseLines(text);
+  const headers = headerLine.map((h) => h.trim());
+  const records = [];
+  const rowNumbers = [];
+  const errors = [];
+
+  lines.forEach((line, index) => {
+    // Blank lines carry no data
+    if (line.length === 1 && line[0] === "") return;
+    if (line.length !== headers.length) {
+      errors.push({
+        row: `row ${index + 2}`,
+        message: `expected ${headers.length} columns, got ${line.length}`,
+      });
+      return;
+    }
+    records.push(
+      Object.fromEntries(headers.map((header, i) => [header, line[i]]))
+    );
+    rowNumbers.push(index + 2);
+  });
+  return { headers, records, rowNumbers, errors };
+}
+
+function escapeField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+// Columns = every key seen, in first-seen order
+export function toCsv(records) {
+  const headers = [...new Set(records.flatMap((r) => Object.keys(r)))];
+  const lines = [
+    headers.map(escapeField).join(","),
+    ...records.map((record) =>
+      headers.map((header) => escapeField(record[header])).join(",")
+    ),
+  ];
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,33 @@
+import { toCsv } from "./csv";
+import { flattenRecords } from "./flatten";
+
+export function downloadFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.append(link);
+  link.click();
+  // Revoking right away can cancel the download -> wait until it started
+  setTimeout(() => {
+    link.remove();
+    URL.revokeObjectURL(url);
+  }, 0);
+}
+
+// JSON keeps the nesting, CSV gets one row per nested child
+export function exportRecords(records, format, baseName, nestedKey) {
+  if (format === "json") {
+    downloadFile(
+      `${baseName}.json`,
+      JSON.stringify(records, null, 2),
+      "application/json"
+    );
+  } else {
+    downloadFile(
+      `${baseName}.csv`,
+      toCsv(flattenRecords(records, nestedKey)),
+      "text/csv"
+    );
+  }
+}
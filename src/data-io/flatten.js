@@ -0,0 +1,45 @@
+// CSV is flat, so a record with a nested array (college -> students) becomes
+// one row per child with the parent fields repeated:
+//   { name, city, students: [{ name }] } -> { name, city, "students.name" }
+
+export function flattenRecords(records, nestedKey) {
+  if (!nestedKey) return records;
+  return records.flatMap((record) => {
+    const { [nestedKey]: children = [], ...parent } = record;
+    if (children.length === 0) return [parent];
+    return children.map((child) => ({
+      ...parent,
+      ...Object.fromEntries(
+        Object.entries(child).map(([key, value]) => [
+          `${nestedKey}.${key}`,
+          value,
+        ])
+      ),
+    }));
+  });
+}
+
+// Reverse of flattenRecords() -> rows with identical parent fields are merged.
+export function unflattenRecords(rows, nestedKey) {
+  if (!nestedKey) return rows;
+  const prefix = `${nestedKey}.`;
+  const groups = new Map();
+
+  for (const row of rows) {
+    const parent = {};
+    const child = {};
+    for (const [key, value] of Object.entries(row)) {
+      if (key.startsWith(prefix)) child[key.slice(prefix.length)] = value;
+      else parent[key] = value;
+    }
+    const groupKey = JSON.stringify(parent);
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { ...parent, [nestedKey]: [] });
+    }
+    // A parent without children is written as one row with empty child cells
+    if (Object.values(child).some((value) => value !== "" && value != null)) {
+      groups.get(groupKey)[nestedKey].push(child);
+    }
+  }
+  return [...groups.values()];
+}
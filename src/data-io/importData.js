@@ -0,0 +1,179 @@
+import { parseCsv } from "./csv";
+import { unflattenRecords } from "./flatten";
+
+// Reads a CSV or JSON file into flat rows.
+// -> { headers, rows: [{ label, values }], errors: [{ row, message }] }
+// A JSON record keeps its own children -> { label, values, children }, so two
+// records with the same parent fields stay two records.
+export async function parseFile(file, nestedKey) {
+  const text = await file.text();
+
+  if (/\.json$/i.test(file.name) || file.type === "application/json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return {
+        headers: [],
+        rows: [],
+        errors: [{ row: "file", message: err.message }],
+      };
+    }
+    if (!Array.isArray(data)) {
+      return {
+        headers: [],
+        rows: [],
+        errors: [{ row: "file", message: "JSON must be an array of records" }],
+      };
+    }
+    const rows = [];
+    const errors = [];
+    data.forEach((item, index) => {
+      if (item === null || typeof item !== "object" || Array.isArray(item)) {
+        errors.push({ row: `record ${index + 1}`, message: "not an object" });
+        return;
+      }
+      const label = `record ${index + 1}`;
+      if (!nestedKey) {
+        rows.push({ label, values: item });
+        return;
+      }
+      const { [nestedKey]: children, ...values } = item;
+      rows.push({
+        label,
+        values,
+        children: (Array.isArray(children) ? children : []).map((child) =>
+          prefixKeys(child, nestedKey)
+        ),
+      });
+    });
+    const headers = [
+      ...new Set(
+        rows.flatMap((r) => [
+          ...Object.keys(r.values),
+          ...(r.children ?? []).flatMap((child) => Object.keys(child)),
+        ])
+      ),
+    ];
+    return { headers, rows, errors };
+  }
+
+  const { headers, records, rowNumbers, errors } = parseCsv(text);
+  return {
+    headers,
+    rows: records.map((values, i) => ({
+      label: `row ${rowNumbers[i]}`,
+      values,
+    })),
+    errors,
+  };
+}
+
+// { name: "A" } -> { "students.name": "A" }, same keys as a flattened CSV row
+function prefixKeys(child, nestedKey) {
+  return Object.fromEntries(
+    Object.entries(child ?? {}).map(([key, value]) => [
+      `${nestedKey}.${key}`,
+      value,
+    ])
+  );
+}
+
+// Field 'name' picks the column 'name' or 'Name' (or its label) by default
+export function guessMapping(fields, headers) {
+  return Object.fromEntries(
+    fields.map((field) => {
+      const match = headers.find(
+        (h) =>
+          h.toLowerCase() === field.key.toLowerCase() ||
+          h.toLowerCase() === field.label?.toLowerCase()
+      );
+      return [field.key, match ?? ""];
+    })
+  );
+}
+
+function convert(raw, field) {
+  const value = typeof raw === "string" ? raw.trim() : raw;
+  if (value === "" || value == null) {
+    return field.required ? { error: "is required" } : { value: "" };
+  }
+  if (field.type === "number") {
+    const number = Number(value);
+    return Number.isFinite(number)
+      ? { value: number }
+      : { error: `"${value}" is not a number` };
+  }
+  return { value: String(value) };
+}
+
+function mapValues(values, fields, mapping) {
+  const record = {};
+  const errors = [];
+  for (const field of fields) {
+    const source = mapping[field.key];
+    const result = convert(source ? values[source] : "", field);
+    if (result.error) {
+      errors.push(`${field.label ?? field.key} ${result.error}`);
+    } else {
+      record[field.key] = result.value;
+    }
+  }
+  return { record, errors };
+}
+
+// mapping: { fieldKey: sourceHeader | "" } -> "" skips the field.
+// Bad rows are left out and reported instead of failing the whole import.
+// CSV rows are merged back by their parent fields, JSON records are kept as is.
+export function applyMapping(rows, fields, mapping, nestedKey) {
+  const prefix = `${nestedKey}.`;
+  const childFields = nestedKey
+    ? fields.filter((field) => field.key.startsWith(prefix))
+    : [];
+  const parentFields = fields.filter((field) => !childFields.includes(field));
+  const flat = [];
+  const nested = [];
+  const errors = [];
+
+  for (const { label, values, children } of rows) {
+    if (!children) {
+      const result = mapValues(values, fields, mapping);
+      if (result.errors.length > 0) {
+        errors.push({ row: label, message: result.errors.join(", ") });
+      } else {
+        flat.push(result.record);
+      }
+      continue;
+    }
+
+    const parent = mapValues(values, parentFields, mapping);
+    if (parent.errors.length > 0) {
+      errors.push({ row: label, message: parent.errors.join(", ") });
+      continue;
+    }
+    const kids = [];
+    children.forEach((child, index) => {
+      const result = mapValues(child, childFields, mapping);
+      if (result.errors.length > 0) {
+        errors.push({
+          row: `${label}, ${nestedKey} ${index + 1}`,
+          message: result.errors.join(", "),
+        });
+      } else if (Object.values(result.record).some((value) => value !== "")) {
+        kids.push(
+          Object.fromEntries(
+            Object.entries(result.record).map(([key, value]) => [
+              key.slice(prefix.length),
+              value,
+            ])
+          )
+        );
+      }
+    });
+    nested.push({ ...parent.record, [nestedKey]: kids });
+  }
+  return {
+    records: [...unflattenRecords(flat, nestedKey), ...nested],
+    errors,
+  };
+}
@@ -0,0 +1,133 @@
+import React, { Suspense, useState } from "react";
+import useResource, { useResourceInfo } from "./useResource";
+import { abort, evict, invalidate } from "./resourceCache";
+import { getRequestCount } from "./mockApi";
+import ErrorBoundary from "../error-boundary/ErrorBoundary";
+import { vars } from "../theme/themes";
+
+function EmployeeNames({ staleTime }) {
+  const employees = useResource("employees", { staleTime });
+  return <p>👩🏻‍💻 {employees.map((e) => e.name).join(", ")}</p>;
+}
+
+function EmployeeCount({ staleTime }) {
+  // Same key as <EmployeeNames/> -> shares its request, no second fetch
+  const employees = useResource("employees", { staleTime });
+  return <p>Total employees: {employees.length}</p>;
+}
+
+function CollegeList({ staleTime }) {
+  const colleges = useResource("colleges", { staleTime });
+  return (
+    <ul>
+      {colleges.map((college) => (
+        <li key={college.name}>
+          🏫 {college.name} ({college.students.length} students)
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function MissingResource() {
+  // The mock API answers 404 -> rejected promise -> nearest error boundary
+  const teachers = useResource("teachers");
+  return <p>{teachers.length} teachers</p>;
+}
+
+function ResourcePanel({ resource, title, children }) {
+  const [visible, setVisible] = useState(true);
+  const info = useResourceInfo(resource);
+
+  function cancel() {
+    // Hide the reader first, otherwise it would simply ask again
+    setVisible(false);
+    abort(resource);
+  }
+
+  return (
+    <section
+      style={{
+        border: `2px solid ${vars.border}`,
+        borderRadius: "7px",
+        padding: "10px",
+        margin: "10px 0",
+      }}>
+      <h3>
+        {title} {info.revalidating ? <small>🔄 refreshing...</small> : null}
+      </h3>
+      <p>
+        <small>
+          Updated:{" "}
+          {info.updatedAt ? new Date(info.updatedAt).toLocaleTimeString() : "-"}
+        </small>
+      </p>
+      <button onClick={() => invalidate(resource)}>
+        Refetch (keep data) 🔄
+      </button>
+      <button
+        onClick={() => {
+          evict(resource);
+          setVisible(true);
+        }}>
+        Hard reload ♻️
+      </button>
+      {info.revalidating ? (
+        <button onClick={() => abort(resource)}>Cancel refresh ✋</button>
+      ) : null}
+      {visible ? (
+        // Retry drops the failed request, so the next read asks again
+        <ErrorBoundary name={title} onReset={() => evict(resource)}>
+          <Suspense
+            fallback={
+              <p>
+                Loading {resource}... ⌛{" "}
+                <button onClick={cancel}>Cancel ✋</button>
+              </p>
+            }>
+            {children}
+          </Suspense>
+        </ErrorBoundary>
+      ) : (
+        <p>
+          Request cancelled 🚫{" "}
+          <button onClick={() => setVisible(true)}>Load again</button>
+        </p>
+      )}
+    </section>
+  );
+}
+
+function DataLayerDemo() {
+  const [staleTime, setStaleTime] = useState(10000);
+  useResourceInfo("employees"); // re-render -> fresh request counter
+
+  return (
+    <div>
+      <h2>Suspense + use( ) data layer 🗄️</h2>
+      <label>
+        Data counts as stale after:{" "}
+        <select
+          value={staleTime}
+          onChange={(evt) => setStaleTime(Number(evt.target.value))}>
+          <option value={0}>0s (refresh on every mount)</option>
+          <option value={10000}>10s</option>
+          <option value={60000}>60s</option>
+        </select>
+      </label>
+      <p>Requests sent to the mock API so far: {getRequestCount()}</p>
+      <ResourcePanel resource="employees" title="Employees">
+        <EmployeeNames staleTime={staleTime} />
+        <EmployeeCount staleTime={staleTime} />
+      </ResourcePanel>
+      <ResourcePanel resource="colleges" title="Colleges">
+        <CollegeList staleTime={staleTime} />
+      </ResourcePanel>
+      <ResourcePanel resource="teachers" title="Teachers (broken endpoint)">
+        <MissingResource />
+      </ResourcePanel>
+    </div>
+  );
+}
+
+export default DataLayerDemo;
@@ -0,0 +1,42 @@
+import { employees } from "../data/employees";
+import { collegeData } from "../data/colleges";
+import { hobbyDetails } from "../data/hobbies";
+
+// Local "server" -> works offline, answers after an artificial delay.
+const resources = {
+  employees: () => employees,
+  colleges: () => collegeData,
+  hobbies: () => hobbyDetails,
+};
+
+let requestCount = 0;
+
+// How many requests really hit the "server" (dedup check 🔍)
+export function getRequestCount() {
+  return requestCount;
+}
+
+export function mockFetch(resource, { signal, delay = 1200 } = {}) {
+  requestCount++;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Request aborted", "AbortError"));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      if (!resources[resource]) {
+        reject(new Error(`404 - unknown resource "${resource}"`));
+        return;
+      }
+      // structuredClone -> callers never share objects with the "database"
+      resolve(structuredClone(resources[resource]()));
+    }, delay);
+
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new DOMException("Request aborted", "AbortError"));
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
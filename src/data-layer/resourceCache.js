@@ -0,0 +1,147 @@
+// Promise cache for use( ) + <Suspense/>.
+// - same key -> same promise (requests are deduplicated)
+// - stale entries are served at once and refreshed in the background (SWR)
+// - every request gets an AbortController so it can be cancelled
+
+// key -> { promise, controller, updatedAt, revalidating }
+const cache = new Map();
+const listeners = new Set();
+let version = 0;
+
+function changed() {
+  version++;
+  listeners.forEach((listener) => listener());
+}
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Snapshot for useSyncExternalStore -> bumps on every cache change
+export function getVersion() {
+  return version;
+}
+
+// React reads status/value straight off the promise, so an already
+// resolved promise never suspends again.
+function settled(data) {
+  const promise = Promise.resolve(data);
+  promise.status = "fulfilled";
+  promise.value = data;
+  return promise;
+}
+
+function tracked(promise) {
+  promise.status = "pending";
+  promise.then(
+    (value) => {
+      promise.status = "fulfilled";
+      promise.value = value;
+    },
+    (reason) => {
+      promise.status = "rejected";
+      promise.reason = reason;
+    }
+  );
+  return promise;
+}
+
+function revalidate(key, fetcher) {
+  const entry = cache.get(key);
+  if (!entry || entry.revalidating || entry.promise.status !== "fulfilled") {
+    return;
+  }
+  const controller = new AbortController();
+  entry.controller = controller;
+  entry.revalidating = true;
+  changed();
+  fetcher(controller.signal).then(
+    (data) => {
+      if (cache.get(key) !== entry) return;
+      entry.promise = settled(data);
+      entry.updatedAt = Date.now();
+      entry.revalidating = false;
+      entry.controller = null;
+      changed();
+    },
+    () => {
+      // Failed or aborted refresh -> keep showing the stale data
+      if (cache.get(key) !== entry) return;
+      entry.revalidating = false;
+      entry.controller = null;
+      changed();
+    }
+  );
+}
+
+// fetcher(signal) -> Promise. Returns the promise to hand to use( ).
+export function read(key, fetcher) {
+  const entry = cache.get(key);
+  if (entry) return entry.promise;
+
+  const controller = new AbortController();
+  const created = {
+    promise: tracked(fetcher(controller.signal)),
+    controller,
+    updatedAt: null,
+    revalidating: false,
+    fetcher,
+  };
+  cache.set(key, created);
+  created.promise.then(
+    () => {
+      created.updatedAt = Date.now();
+      created.controller = null;
+      changed();
+    },
+    () => changed() // kept in the cache -> the error boundary shows it
+  );
+  return created.promise;
+}
+
+// Older than staleTime -> refresh in the background, old data stays visible
+export function revalidateIfStale(key, staleTime) {
+  const entry = cache.get(key);
+  if (entry?.updatedAt && Date.now() - entry.updatedAt >= staleTime) {
+    revalidate(key, entry.fetcher);
+  }
+}
+
+// Refetch: keeps the old data on screen while the new one loads.
+// Entries that failed (or never loaded) are dropped -> next read suspends.
+export function invalidate(key) {
+  const entry = cache.get(key);
+  if (!entry) return;
+  if (entry.promise.status === "fulfilled") revalidate(key, entry.fetcher);
+  else evict(key);
+}
+
+// Forget the entry completely -> next read suspends again
+export function evict(key) {
+  cache.get(key)?.controller?.abort();
+  cache.delete(key);
+  changed();
+}
+
+// Cancel whatever is in flight. A first load is dropped, a background
+// refresh is stopped and the stale data stays.
+export function abort(key) {
+  const entry = cache.get(key);
+  if (!entry?.controller) return;
+  if (entry.promise.status === "pending") {
+    evict(key);
+  } else {
+    entry.controller.abort();
+  }
+}
+
+export function getEntryInfo(key) {
+  const entry = cache.get(key);
+  if (!entry) return { status: "empty", updatedAt: null, revalidating: false };
+  return {
+    status: entry.promise.status,
+    updatedAt: entry.updatedAt,
+    revalidating: entry.revalidating,
+  };
+}
@@ -0,0 +1,34 @@
+import { use, useEffect, useSyncExternalStore } from "react";
+import {
+  getEntryInfo,
+  getVersion,
+  read,
+  revalidateIfStale,
+  subscribe,
+} from "./resourceCache";
+import { mockFetch } from "./mockApi";
+
+// const employees = useResource("employees") -> suspends until loaded.
+// Must be rendered inside <Suspense/>. The resource name is the cache key.
+// staleTime: on mount, data older than this is refreshed in the background.
+function useResource(resource, { staleTime = 10000, delay } = {}) {
+  // Re-render when the cache changes (background refresh finished etc.)
+  useSyncExternalStore(subscribe, getVersion);
+  const promise = read(resource, (signal) =>
+    mockFetch(resource, { signal, delay })
+  );
+
+  useEffect(() => {
+    revalidateIfStale(resource, staleTime);
+  }, [resource, staleTime]);
+
+  return use(promise);
+}
+
+// Loading info for a key without suspending -> "refreshing..." badges
+export function useResourceInfo(key) {
+  useSyncExternalStore(subscribe, getVersion);
+  return getEntryInfo(key);
+}
+
+export default useResource;
@@ -0,0 +1,195 @@
+import React, { useMemo, useState } from "react";
+import { filterRows, nextSort, paginate, sortRows } from "./tableUtils";
+import { vars } from "../theme/themes";
+
+const cellInput = { width: "7em", padding: "3px", borderRadius: "5px" };
+
+// columns: [{ key, header, sortable?, filter?: "text" | "range", render?(row) }]
+// toolbar(viewRows) -> extra controls that work on the sorted + filtered rows
+function DataTable({
+  columns,
+  rows,
+  getRowKey = (row) => row.id,
+  pageSizeOptions = [5, 10, 20],
+  caption,
+  toolbar,
+}) {
+  const [sortBy, setSortBy] = useState([]);
+  const [search, setSearch] = useState("");
+  const [filters, setFilters] = useState({});
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(pageSizeOptions[0]);
+
+  const viewRows = useMemo(
+    () => sortRows(filterRows(rows, columns, search, filters), sortBy),
+    [rows, columns, search, filters, sortBy]
+  );
+  const pageData = paginate(viewRows, page, pageSize);
+
+  function handleSort(evt, key) {
+    // Shift+click -> sort by several columns at once
+    setSortBy((prev) => nextSort(prev, key, evt.shiftKey));
+  }
+
+  function updateFilter(key, value) {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPage(0);
+  }
+
+  function sortLabel(key) {
+    const index = sortBy.findIndex((s) => s.key === key);
+    if (index === -1) return "";
+    const arrow = sortBy[index].dir === "asc" ? " 🔼" : " 🔽";
+    return sortBy.length > 1 ? `${arrow}${index + 1}` : arrow;
+  }
+
+  return (
+    <div>
+      <input
+        type="search"
+        placeholder="Search all columns.. 🔍"
+        value={search}
+        aria-label="Search all columns"
+        style={{ padding: "5px", borderRadius: "5px", margin: "5px 0" }}
+        onChange={(evt) => {
+          setSearch(evt.target.value);
+          setPage(0);
+        }}
+      />
+      {toolbar ? toolbar(viewRows) : null}
+      <table
+        style={{
+          border: `2px solid ${vars.border}`,
+          borderSpacing: "30px",
+          borderRadius: "7px",
+        }}>
+        {caption ? <caption>{caption}</caption> : null}
+        <thead>
+          <tr style={{ textDecoration: "underline" }}>
+            {columns.map((col) => {
+              const current = sortBy.find((s) => s.key === col.key);
+              return (
+                <th
+                  key={col.key}
+                  aria-sort={
+                    current
+                      ? current.dir === "asc"
+                        ? "ascending"
+                        : "descending"
+                      : undefined
+                  }>
+                  {col.sortable === false ? (
+                    col.header
+                  ) : (
+                    <button
+                      type="button"
+                      title="Click to sort, Shift+click to add a sort column"
+                      onClick={(evt) => handleSort(evt, col.key)}>
+                      {col.header}
+                      {sortLabel(col.key)}
+                    </button>
+                  )}
+                </th>
+              );
+            })}
+          </tr>
+          <tr>
+            {columns.map((col) => (
+              <th key={col.key}>
+                {col.filter === "text" ? (
+                  <input
+                    type="text"
+                    style={cellInput}
+                    placeholder={`Filter ${col.header}`}
+                    aria-label={`Filter ${col.header}`}
+                    value={filters[col.key] ?? ""}
+                    onChange={(evt) => updateFilter(col.key, evt.target.value)}
+                  />
+                ) : null}
+                {col.filter === "range" ? (
+                  <>
+                    <input
+                      type="number"
+                      style={{ ...cellInput, width: "4em" }}
+                      placeholder="min"
+                      aria-label={`Minimum ${col.header}`}
+                      value={filters[col.key]?.min ?? ""}
+                      onChange={(evt) =>
+                        updateFilter(col.key, {
+                          ...filters[col.key],
+                          min: evt.target.value,
+                        })
+                      }
+                    />
+                    <input
+                      type="number"
+                      style={{ ...cellInput, width: "4em" }}
+                      placeholder="max"
+                      aria-label={`Maximum ${col.header}`}
+                      value={filters[col.key]?.max ?? ""}
+                      onChange={(evt) =>
+                        updateFilter(col.key, {
+                          ...filters[col.key],
+                          max: evt.target.value,
+                        })
+                      }
+                    />
+                  </>
+                ) : null}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {pageData.pageRows.map((row) => (
+            <tr key={getRowKey(row)}>
+              {columns.map((col) => (
+                <td key={col.key}>
+                  {col.render ? col.render(row) : row[col.key]}
+                </td>
+              ))}
+            </tr>
+          ))}
+          {viewRows.length === 0 ? (
+            <tr>
+              <td colSpan={columns.length}>No matching rows 🤷🏻</td>
+            </tr>
+          ) : null}
+        </tbody>
+      </table>
+      <div style={{ margin: "10px 0" }}>
+        <button
+          disabled={pageData.page === 0}
+          onClick={() => setPage(pageData.page - 1)}>
+          ◀️ Prev
+        </button>
+        <span style={{ marginRight: "5px" }}>
+          Page {pageData.page + 1} / {pageData.pageCount} ({viewRows.length}{" "}
+          rows)
+        </span>
+        <button
+          disabled={pageData.page >= pageData.pageCount - 1}
+          onClick={() => setPage(pageData.page + 1)}>
+          Next ▶️
+        </button>
+        <label>
+          Rows per page:{" "}
+          <select
+            value={pageSize}
+            onChange={(evt) => {
+              setPageSize(Number(evt.target.value));
+              setPage(0);
+            }}>
+            {pageSizeOptions.map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+}
+
+export default DataTable;
@@ -0,0 +1,19 @@
+// Immutable list updates -> always return a NEW array, never touch the old one.
+
+// Next free id = biggest id + 1, so deleted ids are never handed out again
+// while a higher one still exists.
+export function nextId(rows) {
+  return rows.reduce((max, row) => Math.max(max, row.id), 0) + 1;
+}
+
+export function addRow(rows, row) {
+  return [...rows, { ...row, id: nextId(rows) }];
+}
+
+export function updateRow(rows, id, changes) {
+  return rows.map((row) => (row.id === id ? { ...row, ...changes } : row));
+}
+
+export function removeRow(rows, id) {
+  return rows.filter((row) => row.id !== id);
+}
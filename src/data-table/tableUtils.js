@@ -0,0 +1,83 @@
+// Pure helpers for <DataTable/> -> they never mutate the rows they get.
+
+export function compareValues(a, b) {
+  // Empty cells always go last
+  if (a == null || a === "") return b == null || b === "" ? 0 : 1;
+  if (b == null || b === "") return -1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b), undefined, {
+    numeric: true,
+    sensitivity: "base",
+  });
+}
+
+// sortBy: [{ key: "age", dir: "asc" }, { key: "name", dir: "desc" }, ...]
+export function sortRows(rows, sortBy) {
+  if (sortBy.length === 0) return rows;
+  return [...rows].sort((x, y) => {
+    for (const { key, dir } of sortBy) {
+      const result = compareValues(x[key], y[key]);
+      if (result !== 0) return dir === "asc" ? result : -result;
+    }
+    return 0;
+  });
+}
+
+// Click cycles a column: none -> asc -> desc -> none.
+// multi (shift+click) keeps the other columns, otherwise they are dropped.
+export function nextSort(sortBy, key, multi) {
+  const current = sortBy.find((s) => s.key === key);
+  const others = multi ? sortBy.filter((s) => s.key !== key) : [];
+  if (!current) return [...others, { key, dir: "asc" }];
+  if (current.dir === "asc") {
+    return multi
+      ? sortBy.map((s) => (s.key === key ? { key, dir: "desc" } : s))
+      : [{ key, dir: "desc" }];
+  }
+  return others;
+}
+
+function matchesFilter(value, filter, type) {
+  if (type === "range") {
+    const { min, max } = filter ?? {};
+    if (min !== "" && min != null && !(value >= Number(min))) return false;
+    if (max !== "" && max != null && !(value <= Number(max))) return false;
+    return true;
+  }
+  if (!filter) return true;
+  return String(value ?? "")
+    .toLowerCase()
+    .includes(filter.toLowerCase());
+}
+
+// search -> any column contains it, filters -> { [key]: text | { min, max } }
+export function filterRows(rows, columns, search, filters) {
+  const query = search.trim().toLowerCase();
+  return rows.filter((row) => {
+    if (
+      query &&
+      !columns.some((col) =>
+        String(row[col.key] ?? "")
+          .toLowerCase()
+          .includes(query)
+      )
+    ) {
+      return false;
+    }
+    return columns.every(
+      (col) =>
+        !col.filter || matchesFilter(row[col.key], filters[col.key], col.filter)
+    );
+  });
+}
+
+export function paginate(rows, page, pageSize) {
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const safePage = Math.min(page, pageCount - 1);
+  const start = safePage * pageSize;
+  return {
+    pageRows: rows.slice(start, start + pageSize),
+    page: safePage,
+    pageCount,
+  };
+}
@@ -0,0 +1,69 @@
+// Sample colleges -> first used in NestedLooping.jsx, now shared by the demos
+export const collegeData = [
+  {
+    name: "Skyy University",
+    city: "Kolkata",
+    website: "skyy.university.edu",
+    students: [
+      {
+        name: "Alice",
+        age: 25,
+        email: "alice@gmail.com",
+      },
+      {
+        name: "Bob",
+        age: 27,
+        email: "bob@gmail.com",
+      },
+      {
+        name: "Charlie",
+        age: 28,
+        email: "charlie@gmail.com",
+      },
+    ],
+  },
+  {
+    name: "Banerjee Tech. College",
+    city: "Berlin",
+    website: "btu.edu",
+    students: [
+      {
+        name: "David",
+        age: 26,
+        email: "david@gmail.com",
+      },
+      {
+        name: "Eve",
+        age: 29,
+        email: "eve@gmail.com",
+      },
+    ],
+  },
+  {
+    name: "Soumadip University",
+    city: "Delhi",
+    website: "sumu.edu",
+    students: [
+      {
+        name: "Frank",
+        age: 24,
+        email: "frank@gmail.com",
+      },
+      {
+        name: "Grace",
+        age: 28,
+        email: "grace@gmail.com",
+      },
+    ],
+  },
+];
+
+// Import/export schema -> nested student fields are written as 'students.name'
+export const collegeFields = [
+  { key: "name", label: "College", required: true },
+  { key: "city", label: "City" },
+  { key: "website", label: "Website" },
+  { key: "students.name", label: "Student name" },
+  { key: "students.age", label: "Student age", type: "number" },
+  { key: "students.email", label: "Student email" },
+];
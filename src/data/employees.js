@@ -0,0 +1,25 @@
+// Sample employees -> first used in MapTable.jsx, now shared by the table demos
+export const employees = [
+  { id: 1, name: "Alice", role: "Developer", age: 25, avatar: "👩🏻‍💻" },
+  { id: 2, name: "Bob", role: "Designer", age: 28, avatar: "🎨" },
+  { id: 3, name: "Charlie", role: "Manager", age: 32, avatar: "👨🏻‍💼" },
+  { id: 4, name: "Tina", role: "Tester", age: 27, avatar: "🧪" },
+  { id: 5, name: "Skyy", role: "DB Admin.", age: 29, avatar: "📂" },
+  { id: 6, name: "Gemma", role: "Network Eng.", age: 35, avatar: "🛜" },
+  {
+    id: 7,
+    name: "Adam",
+    role: "Cyber-Security Spcl.",
+    age: 34,
+    avatar: "🛡️",
+  },
+  // Add more employees here, if needed...
+];
+
+// Import/export schema -> 'id' is left out, imported rows get fresh ids
+export const employeeFields = [
+  { key: "name", label: "Name", required: true },
+  { key: "role", label: "Role" },
+  { key: "age", label: "Age", type: "number", required: true },
+  { key: "avatar", label: "Avatar" },
+];
@@ -0,0 +1,6 @@
+// Sample hobbies -> first used in ArrayState.jsx
+export const hobbyDetails = [
+  { name: "Reading", time: "Night 🌃" },
+  { name: "Coding", time: "Morning 🌄" },
+  { name: "Movies", time: "Evening 🌆" },
+];
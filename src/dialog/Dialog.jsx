@@ -0,0 +1,108 @@
+import React, { useEffect, useId, useRef } from "react";
+import { createPortal } from "react-dom";
+import { isTopDialog, popDialog, pushDialog } from "./dialogStack";
+import { vars } from "../theme/themes";
+
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Modal dialog rendered into <body/>.
+// initialFocusRef -> plain ref prop (React 19, no forwardRef) pointing at the
+// element that should get focus first; defaults to the first focusable one.
+function Dialog({ open, onClose, title, initialFocusRef, children }) {
+  const id = useId();
+  const dialogRef = useRef(null);
+  // Latest onClose without re-running the effect on every render
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    if (!open) return;
+    const trigger = document.activeElement;
+    const dialog = dialogRef.current;
+    pushDialog(id);
+
+    const first = initialFocusRef?.current ?? dialog.querySelector(FOCUSABLE);
+    (first ?? dialog).focus();
+
+    function handleKeyDown(evt) {
+      if (!isTopDialog(id)) return; // a nested dialog is in charge
+      if (evt.key === "Escape") {
+        evt.preventDefault();
+        onCloseRef.current();
+        return;
+      }
+      if (evt.key !== "Tab") return;
+      // Focus trap -> Tab / Shift+Tab wrap around inside the dialog
+      const items = [...dialog.querySelectorAll(FOCUSABLE)];
+      if (items.length === 0) {
+        evt.preventDefault();
+        dialog.focus();
+        return;
+      }
+      const firstItem = items[0];
+      const lastItem = items[items.length - 1];
+      if (evt.shiftKey && document.activeElement === firstItem) {
+        evt.preventDefault();
+        lastItem.focus();
+      } else if (!evt.shiftKey && document.activeElement === lastItem) {
+        evt.preventDefault();
+        firstItem.focus();
+      } else if (!dialog.contains(document.activeElement)) {
+        evt.preventDefault();
+        firstItem.focus();
+      }
+    }
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      popDialog(id);
+      // Back to the button that opened us (unless it's gone, e.g. it lived
+      // inside a dialog that closed at the same time)
+      if (trigger?.isConnected) trigger.focus();
+    };
+  }, [open, id, initialFocusRef]);
+
+  if (!open) return null;
+
+  return createPortal(
+    <div
+      onMouseDown={(evt) => {
+        // Only a click on the backdrop itself closes, not one inside the box
+        if (evt.target === evt.currentTarget) onClose();
+      }}
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: vars.overlay,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 900,
+      }}>
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={`${id}title`}
+        tabIndex={-1}
+        style={{
+          minWidth: "20em",
+          maxWidth: "90vw",
+          padding: "1.5em",
+          borderRadius: "10px",
+          background: vars.surface,
+          color: vars.text,
+        }}>
+        <h2 id={`${id}title`} style={{ marginTop: 0 }}>
+          {title}
+        </h2>
+        {children}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default Dialog;
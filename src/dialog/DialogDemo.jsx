@@ -0,0 +1,53 @@
+import React, { useRef, useState } from "react";
+import Dialog from "./Dialog";
+import UserInput from "../UserInput";
+
+function DialogDemo() {
+  const [profileOpen, setProfileOpen] = useState(false);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const nameRef = useRef(null);
+  const cancelRef = useRef(null);
+
+  function discard() {
+    setConfirmOpen(false);
+    setProfileOpen(false);
+  }
+
+  return (
+    <div>
+      <h2>Dialog with a focus trap 🪟</h2>
+      <p>
+        Tab stays inside, Escape / backdrop click closes, focus goes back to the
+        button afterwards.
+      </p>
+      <button onClick={() => setProfileOpen(true)}>Edit profile ✏️</button>
+
+      {/* UserInput's handle has focus() -> it gets the first focus */}
+      <Dialog
+        open={profileOpen}
+        onClose={() => setProfileOpen(false)}
+        title="Edit profile"
+        initialFocusRef={nameRef}>
+        <UserInput ref={nameRef} />
+        <br />
+        <button onClick={() => setProfileOpen(false)}>Save ✅</button>
+        <button onClick={() => setConfirmOpen(true)}>Discard 🗑️</button>
+
+        {/* Nested dialog -> Escape only closes this one */}
+        <Dialog
+          open={confirmOpen}
+          onClose={() => setConfirmOpen(false)}
+          title="Discard changes?"
+          initialFocusRef={cancelRef}>
+          <p>Your edits will be lost.</p>
+          <button ref={cancelRef} onClick={() => setConfirmOpen(false)}>
+            Keep editing
+          </button>
+          <button onClick={discard}>Discard</button>
+        </Dialog>
+      </Dialog>
+    </div>
+  );
+}
+
+export default DialogDemo;
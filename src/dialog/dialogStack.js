@@ -0,0 +1,22 @@
+// Open dialogs, innermost last -> only the top one reacts to Escape / Tab.
+const stack = [];
+let savedOverflow = "";
+
+export function pushDialog(id) {
+  // First dialog opens -> lock page scrolling behind the backdrop
+  if (stack.length === 0) {
+    savedOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+  }
+  stack.push(id);
+}
+
+export function popDialog(id) {
+  const index = stack.lastIndexOf(id);
+  if (index !== -1) stack.splice(index, 1);
+  if (stack.length === 0) document.body.style.overflow = savedOverflow;
+}
+
+export function isTopDialog(id) {
+  return stack[stack.length - 1] === id;
+}
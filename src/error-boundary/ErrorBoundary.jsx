@@ -0,0 +1,68 @@
+import React, { Component, Fragment } from "react";
+import { logError } from "./errorLogger";
+import { vars } from "../theme/themes";
+
+// Error boundaries still have to be class components (no hook for it yet).
+// Catches render errors plus errors thrown from form actions / transitions,
+// which React 19 re-throws into the nearest boundary.
+class ErrorBoundary extends Component {
+  state = { error: null, componentStack: null, attempt: 0 };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    this.setState({ componentStack: info.componentStack });
+    (this.props.onError ?? logError)(error, {
+      componentStack: info.componentStack,
+      source: this.props.name ?? "ErrorBoundary",
+    });
+  }
+
+  retry = () => {
+    this.props.onReset?.(); // e.g. drop a failed request from a cache
+    // New attempt -> new key -> the children mount from scratch
+    this.setState((prev) => ({
+      error: null,
+      componentStack: null,
+      attempt: prev.attempt + 1,
+    }));
+  };
+
+  render() {
+    const { error, componentStack, attempt } = this.state;
+    if (!error) {
+      return <Fragment key={attempt}>{this.props.children}</Fragment>;
+    }
+    if (this.props.fallback) {
+      return this.props.fallback({ error, componentStack, retry: this.retry });
+    }
+    return (
+      <div
+        role="alert"
+        style={{
+          border: `2px solid ${vars.danger}`,
+          borderRadius: "7px",
+          padding: "10px",
+        }}>
+        <h3>
+          Something went wrong 💥{" "}
+          {this.props.name ? `in ${this.props.name}` : ""}
+        </h3>
+        <p style={{ color: vars.danger }}>{error?.message ?? String(error)}</p>
+        {componentStack ? (
+          <details>
+            <summary>Component stack</summary>
+            <pre style={{ fontSize: "0.8em", whiteSpace: "pre-wrap" }}>
+              {componentStack}
+            </pre>
+          </details>
+        ) : null}
+        <button onClick={this.retry}>Retry 🔁</button>
+      </div>
+    );
+  }
+}
+
+export default ErrorBoundary;
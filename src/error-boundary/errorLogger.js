@@ -0,0 +1,22 @@
+// Where caught errors go. Console by default -> swap in Sentry, a fetch( )
+// to your own API etc. with setErrorLogger( ).
+
+function consoleLogger(error, { componentStack, source }) {
+  console.error(`[${source}] ${error?.message ?? error}`, componentStack ?? "");
+}
+
+let logger = consoleLogger;
+
+export function setErrorLogger(nextLogger) {
+  logger = nextLogger ?? consoleLogger;
+}
+
+// info: { componentStack?, source } -> source says which boundary caught it
+export function logError(error, info = {}) {
+  try {
+    logger(error, { source: "app", ...info });
+  } catch (loggerError) {
+    // A broken logger must never take the error UI down with it
+    console.error("Error logger failed:", loggerError);
+  }
+}
@@ -0,0 +1,57 @@
+import React, { useId, useMemo, useState } from "react";
+import { FieldCtxt, describedBy, useFieldContext } from "./fieldContext";
+
+// Radio / checkbox group -> <fieldset/> + <legend/> name the whole group,
+// help and error texts are announced on the group. HelpText / ErrorText from
+// Field.jsx work inside it too.
+// <ChoiceGroup legend="Gender" name="gender" type="radio" error={...}>
+//   <Choice value="male" label="Male" /> ...
+// </ChoiceGroup>
+export function ChoiceGroup({ legend, name, type = "radio", error, children }) {
+  const id = useId();
+  const [hasHelp, setHasHelp] = useState(false);
+  const field = useMemo(
+    () => ({
+      inputId: `${id}-input`,
+      helpId: `${id}-help`,
+      errorId: `${id}-error`,
+      error,
+      hasHelp,
+      setHasHelp,
+      group: { name, type },
+    }),
+    [id, error, hasHelp, name, type]
+  );
+  return (
+    <FieldCtxt.Provider value={field}>
+      <fieldset
+        role={type === "radio" ? "radiogroup" : undefined}
+        aria-describedby={describedBy(field)}
+        aria-invalid={type === "radio" ? Boolean(error) : undefined}>
+        <legend>{legend}</legend>
+        {children}
+      </fieldset>
+    </FieldCtxt.Provider>
+  );
+}
+
+// One option -> gets its own useId( ) for the label, name/type from the group
+export function Choice({ label, ...props }) {
+  const id = useId();
+  const { group, error, errorId } = useFieldContext();
+  if (!group) throw new Error("<Choice/> must be used inside <ChoiceGroup/>");
+  return (
+    <span>
+      <input
+        {...props}
+        id={id}
+        type={group.type}
+        name={group.name}
+        aria-invalid={Boolean(error)}
+        aria-describedby={undefined} // the fieldset already describes the group
+        aria-errormessage={error ? errorId : undefined}
+      />
+      <label htmlFor={id}>{label}</label>
+    </span>
+  );
+}
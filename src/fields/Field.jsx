@@ -0,0 +1,80 @@
+import React, { useId, useLayoutEffect, useMemo, useState } from "react";
+import { FieldCtxt, describedBy, useFieldContext } from "./fieldContext";
+import { vars } from "../theme/themes";
+
+// <Field error={errors.name}>
+//   <Label>Name</Label> <Input {...register("name")} />
+//   <HelpText>...</HelpText> <ErrorText />
+// </Field>
+// Every id comes from useId( ) -> the same form can be rendered many times.
+export function Field({ error, children }) {
+  const id = useId();
+  const [hasHelp, setHasHelp] = useState(false);
+  const field = useMemo(
+    () => ({
+      inputId: `${id}-input`,
+      helpId: `${id}-help`,
+      errorId: `${id}-error`,
+      error,
+      hasHelp,
+      setHasHelp,
+    }),
+    [id, error, hasHelp]
+  );
+  return (
+    <FieldCtxt.Provider value={field}>
+      <div>{children}</div>
+    </FieldCtxt.Provider>
+  );
+}
+
+export function Label({ children, ...props }) {
+  const { inputId } = useFieldContext();
+  return (
+    <label {...props} htmlFor={inputId}>
+      {children}
+    </label>
+  );
+}
+
+// Spread props (e.g. register("name")) go first -> the wiring below wins
+export function Input(props) {
+  const field = useFieldContext();
+  return (
+    <input
+      {...props}
+      id={field.inputId}
+      aria-invalid={Boolean(field.error)}
+      aria-describedby={describedBy(field)}
+      aria-errormessage={field.error ? field.errorId : undefined}
+    />
+  );
+}
+
+// Tells the field it exists, so aria-describedby never points at nothing
+export function HelpText({ children }) {
+  const { helpId, setHasHelp } = useFieldContext();
+  useLayoutEffect(() => {
+    setHasHelp(true);
+    return () => setHasHelp(false);
+  }, [setHasHelp]);
+  return (
+    <p id={helpId} style={{ margin: "4px 0", fontSize: "0.9em" }}>
+      {children}
+    </p>
+  );
+}
+
+// Shows the field's error (or 'pending' while an async rule runs)
+export function ErrorText({ pending }) {
+  const { errorId, error } = useFieldContext();
+  if (pending) {
+    return <p style={{ margin: "4px 0", fontSize: "0.9em" }}>Checking... ⌛</p>;
+  }
+  if (!error) return null;
+  return (
+    <p id={errorId} role="alert" style={{ color: vars.danger, margin: "4px 0" }}>
+      ⚠️ {error}
+    </p>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useRef, useState } from "react";
+import TextField from "./TextField";
+import PasswordField from "./PasswordField";
+import SelectField from "./SelectField";
+import { matchesField, minLength, required } from "../validation/rules";
+import { vars } from "../theme/themes";
+
+const fields = [
+  {
+    name: "username",
+    Component: TextField,
+    props: { label: "Username", rules: [required(), minLength(3)] },
+  },
+  {
+    name: "password",
+    Component: PasswordField,
+    props: { label: "Password", rules: [required(), minLength(6)] },
+  },
+  {
+    name: "confirmPassword",
+    Component: PasswordField,
+    props: {
+      label: "Confirm",
+      rules: [required(), matchesField("password", "Passwords don't match")],
+    },
+  },
+  {
+    name: "city",
+    Component: SelectField,
+    props: {
+      label: "City",
+      placeholder: "-- Select --",
+      options: ["Kolkata", "Pune", "Bangalore"],
+      rules: [required("Please pick a city")],
+    },
+  },
+];
+
+// The parent never touches the DOM -> every field is driven through its handle
+function FieldsForm() {
+  const handles = useRef({});
+  const [result, setResult] = useState(null);
+
+  function readValues() {
+    return Object.fromEntries(
+      fields.map(({ name }) => [name, handles.current[name].getValue()])
+    );
+  }
+
+  async function handleSubmit(evt) {
+    evt.preventDefault();
+    const values = readValues();
+    const results = await Promise.all(
+      fields.map(({ name }) => handles.current[name].validate(values))
+    );
+    const invalid = fields.filter((_, index) => !results[index]);
+    if (invalid.length > 0) {
+      invalid.forEach(({ name }) =>
+        handles.current[name].highlight(vars.dangerHighlight)
+      );
+      handles.current[invalid[0].name].focus();
+      setResult(null);
+      return;
+    }
+    const { password: _password, confirmPassword: _confirm, ...safe } = values;
+    setResult(safe);
+  }
+
+  function resetAll() {
+    fields.forEach(({ name }) => handles.current[name].reset());
+    setResult(null);
+  }
+
+  function fillDemo() {
+    const demo = {
+      username: "pratik",
+      password: "secret1",
+      confirmPassword: "secret1",
+      city: "Pune",
+    };
+    fields.forEach(({ name }) => {
+      handles.current[name].setValue(demo[name]);
+      handles.current[name].highlight(vars.infoHighlight);
+    });
+  }
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      <h3>Form driven through field handles</h3>
+      {fields.map((field) => (
+        <field.Component
+          key={field.name}
+          {...field.props}
+          ref={(handle) => {
+            handles.current[field.name] = handle;
+          }}
+        />
+      ))}
+      <button type="submit">Validate all ✅</button>
+      <button type="button" onClick={resetAll}>
+        Reset all 🔄
+      </button>
+      <button type="button" onClick={fillDemo}>
+        Fill demo values ✨
+      </button>
+      {result ? <p>Submitted: {JSON.stringify(result)}</p> : null}
+    </form>
+  );
+}
+
+export default FieldsForm;
@@ -0,0 +1,19 @@
+import React, { useState } from "react";
+import TextField from "./TextField";
+
+// TextField + show/hide toggle. The ref goes straight through -> same handle.
+function PasswordField({ ref, ...props }) {
+  const [visible, setVisible] = useState(false);
+  return (
+    <TextField ref={ref} {...props} type={visible ? "text" : "password"}>
+      <button
+        type="button"
+        aria-pressed={visible}
+        onClick={() => setVisible(!visible)}>
+        {visible ? "Hide 🙈" : "Show 👀"}
+      </button>
+    </TextField>
+  );
+}
+
+export default PasswordField;
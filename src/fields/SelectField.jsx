@@ -0,0 +1,50 @@
+import React, { useId } from "react";
+import useFieldHandle from "./useFieldHandle";
+import { fieldStyle } from "./fieldStyle";
+import FieldError from "../validation/FieldError";
+
+// <select/> with the same handle as TextField -> a parent can treat all
+// fields alike. options: ["Kolkata", ...] or [{ value, label }]
+function SelectField({
+  ref,
+  label,
+  options,
+  placeholder,
+  defaultValue,
+  rules,
+}) {
+  const id = useId();
+  const { inputRef, value, setValue, error, highlightColor } = useFieldHandle(
+    ref,
+    { defaultValue, rules }
+  );
+  return (
+    <div>
+      {label ? <label htmlFor={id}>{label}: </label> : null}
+      <select
+        ref={inputRef}
+        id={id}
+        value={value}
+        onChange={(evt) => setValue(evt.target.value)}
+        aria-invalid={Boolean(error)}
+        aria-describedby={error ? `${id}-error` : undefined}
+        style={{ ...fieldStyle, backgroundColor: highlightColor ?? undefined }}>
+        {placeholder ? <option value="">{placeholder}</option> : null}
+        {options.map((option) => {
+          const { value: optionValue, label: optionLabel } =
+            typeof option === "string"
+              ? { value: option, label: option }
+              : option;
+          return (
+            <option key={optionValue} value={optionValue}>
+              {optionLabel}
+            </option>
+          );
+        })}
+      </select>
+      <FieldError id={`${id}-error`} error={error} />
+    </div>
+  );
+}
+
+export default SelectField;
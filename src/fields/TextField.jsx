@@ -0,0 +1,41 @@
+import React, { useId } from "react";
+import useFieldHandle from "./useFieldHandle";
+import { fieldStyle } from "./fieldStyle";
+import FieldError from "../validation/FieldError";
+
+// Text / password input. ref -> field handle, see useFieldHandle.js
+function TextField({
+  ref,
+  label,
+  type = "text",
+  placeholder,
+  defaultValue,
+  rules,
+  children,
+}) {
+  const id = useId();
+  const { inputRef, value, setValue, error, highlightColor } = useFieldHandle(
+    ref,
+    { defaultValue, rules }
+  );
+  return (
+    <div>
+      {label ? <label htmlFor={id}>{label}: </label> : null}
+      <input
+        ref={inputRef}
+        id={id}
+        type={type}
+        placeholder={placeholder}
+        value={value}
+        onChange={(evt) => setValue(evt.target.value)}
+        aria-invalid={Boolean(error)}
+        aria-describedby={error ? `${id}-error` : undefined}
+        style={{ ...fieldStyle, backgroundColor: highlightColor ?? undefined }}
+      />
+      {children}
+      <FieldError id={`${id}-error`} error={error} />
+    </div>
+  );
+}
+
+export default TextField;
@@ -0,0 +1,21 @@
+import { createContext, useContext } from "react";
+
+// { inputId, helpId, errorId, error, hasHelp, setHasHelp, group? }
+// group = { name, type } inside <ChoiceGroup/> (radio / checkbox)
+export const FieldCtxt = createContext(null);
+
+export function useFieldContext() {
+  const field = useContext(FieldCtxt);
+  if (!field)
+    throw new Error(
+      "Field parts must be used inside <Field/> or <ChoiceGroup/>"
+    );
+  return field;
+}
+
+// Space separated ids for aria-describedby -> only parts that are rendered
+export function describedBy({ hasHelp, helpId, error, errorId }) {
+  return (
+    [hasHelp && helpId, error && errorId].filter(Boolean).join(" ") || undefined
+  );
+}
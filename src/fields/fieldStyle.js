@@ -0,0 +1,7 @@
+// Shared by every field component -> text, password and select line up
+export const fieldStyle = {
+  height: "25px",
+  width: "200px",
+  margin: "5px",
+  borderRadius: "5px",
+};
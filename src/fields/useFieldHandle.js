@@ -0,0 +1,68 @@
+import {
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useRef,
+  useState,
+} from "react";
+import { runRules } from "../validation/rules";
+import { vars } from "../theme/themes";
+
+// Shared state + imperative API for every field component.
+// Parents get ONLY these methods through the ref, never the DOM node:
+//   focus(), clear(), reset(), getValue(), setValue(v), validate(), highlight()
+
+// One shared default -> a fresh [] every render would rebuild the handle
+const EMPTY_RULES = [];
+
+function useFieldHandle(ref, { defaultValue = "", rules = EMPTY_RULES } = {}) {
+  const inputRef = useRef(null);
+  const [value, setValueState] = useState(defaultValue);
+  // Latest value for the handle -> setValue(x) then validate() checks x,
+  // not the value of the render that built the handle
+  const valueRef = useRef(defaultValue);
+  const [error, setError] = useState(null);
+  const [highlightColor, setHighlightColor] = useState(null);
+  const highlightTimer = useRef(null);
+
+  useEffect(() => () => clearTimeout(highlightTimer.current), []);
+
+  const setValue = useCallback((next) => {
+    valueRef.current = next;
+    setValueState(next);
+  }, []);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      focus: () => inputRef.current.focus(),
+      clear: () => {
+        setValue("");
+        setError(null);
+      },
+      reset: () => {
+        setValue(defaultValue);
+        setError(null);
+      },
+      getValue: () => valueRef.current,
+      setValue: (next) => setValue(String(next)),
+      // -> Promise<boolean>, the error (if any) is shown under the field.
+      // 'values' = the rest of the form, only needed for cross-field rules
+      validate: async (values = {}) => {
+        const message = await runRules(rules, valueRef.current, values);
+        setError(message);
+        return !message;
+      },
+      highlight: (color = vars.highlight, ms = 1500) => {
+        clearTimeout(highlightTimer.current);
+        setHighlightColor(color);
+        highlightTimer.current = setTimeout(() => setHighlightColor(null), ms);
+      },
+    }),
+    [defaultValue, rules, setValue]
+  );
+
+  return { inputRef, value, setValue, error, highlightColor };
+}
+
+export default useFieldHandle;
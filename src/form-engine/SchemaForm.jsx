@@ -0,0 +1,207 @@
+import React, { useId, useMemo, useState } from "react";
+import {
+  initialValues,
+  normalizeOptions,
+  schemaRules,
+  toggleOption,
+} from "./formSchema";
+import useValidation from "../validation/useValidation";
+import FieldError from "../validation/FieldError";
+
+const legendStyle = { fontSize: "1.17em", fontWeight: "bold" };
+
+function CheckboxGroup({ field, value, onChange, idPrefix }) {
+  // max reached -> the remaining boxes can't be ticked anymore
+  const full = field.max != null && value.length >= field.max;
+  return normalizeOptions(field.options).map((option) => {
+    const id = `${idPrefix}${field.name}-${option.value}`;
+    const checked = value.includes(option.value);
+    return (
+      <div key={option.value}>
+        <input
+          type="checkbox"
+          id={id}
+          name={field.name}
+          value={option.value}
+          checked={checked}
+          disabled={full && !checked}
+          onChange={(evt) =>
+            onChange(toggleOption(value, option.value, evt.target.checked))
+          }
+        />
+        <label htmlFor={id}>{option.label}</label>
+      </div>
+    );
+  });
+}
+
+function RadioGroup({ field, value, onChange, idPrefix }) {
+  return normalizeOptions(field.options).map((option) => {
+    const id = `${idPrefix}${field.name}-${option.value}`;
+    return (
+      <div key={option.value}>
+        <input
+          type="radio"
+          id={id}
+          name={`${idPrefix}${field.name}`}
+          value={option.value}
+          checked={value === option.value}
+          onChange={(evt) => onChange(evt.target.value)}
+        />
+        <label htmlFor={id}>{option.label}</label>
+      </div>
+    );
+  });
+}
+
+// aria -> { "aria-invalid", "aria-describedby" } for the input / select
+function renderControl(field, value, onChange, idPrefix, aria) {
+  const id = `${idPrefix}${field.name}`;
+  switch (field.type) {
+    case "checkbox-group":
+      return (
+        <CheckboxGroup
+          field={field}
+          value={value}
+          onChange={onChange}
+          idPrefix={idPrefix}
+        />
+      );
+    case "radio-group":
+      return (
+        <RadioGroup
+          field={field}
+          value={value}
+          onChange={onChange}
+          idPrefix={idPrefix}
+        />
+      );
+    case "select":
+      return (
+        <>
+          <label htmlFor={id} style={legendStyle}>
+            {field.label}
+          </label>
+          <br />
+          <select
+            id={id}
+            name={field.name}
+            value={value}
+            onChange={(evt) => onChange(evt.target.value)}
+            {...aria}>
+            {field.placeholder ? (
+              <option value="">{field.placeholder}</option>
+            ) : null}
+            {normalizeOptions(field.options).map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </>
+      );
+    case "text":
+    case "password":
+      return (
+        <>
+          <label htmlFor={id} style={legendStyle}>
+            {field.label}
+          </label>
+          <br />
+          <input
+            type={field.type}
+            id={id}
+            name={field.name}
+            placeholder={field.placeholder}
+            value={value}
+            onChange={(evt) => onChange(evt.target.value)}
+            {...aria}
+          />
+        </>
+      );
+    default:
+      throw new Error(`SchemaForm: unknown field type "${field.type}"`);
+  }
+}
+
+// Renders any schema and hands back ONE values object -> { skills, gender, city }
+// mode: when to validate -> "change" | "blur" | "submit" (see useValidation)
+// defaultValues: start from earlier answers, children: extra buttons (Back..)
+function SchemaForm({
+  schema,
+  defaultValues,
+  onChange,
+  onSubmit,
+  submitLabel = "Submit",
+  mode = "blur",
+  children,
+}) {
+  const idPrefix = useId();
+  const [values, setValues] = useState(() => ({
+    ...initialValues(schema),
+    ...defaultValues,
+  }));
+  const rules = useMemo(() => schemaRules(schema), [schema]);
+  const { errors, errorId, fieldEvent, validateAll, isPending } = useValidation(
+    rules,
+    { mode }
+  );
+
+  function updateField(name, value) {
+    const next = { ...values, [name]: value };
+    setValues(next);
+    fieldEvent(name, "change", next);
+    onChange?.(next);
+  }
+
+  async function handleSubmit(evt) {
+    evt.preventDefault();
+    const invalid = await validateAll(values);
+    if (invalid.length === 0) onSubmit?.(values);
+  }
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      {schema.map((field) => {
+        const aria = {
+          "aria-invalid": Boolean(errors[field.name]),
+          "aria-describedby": errors[field.name]
+            ? errorId(field.name)
+            : undefined,
+        };
+        const isGroup = field.type.endsWith("-group");
+        const control = renderControl(
+          field,
+          values[field.name],
+          (value) => updateField(field.name, value),
+          idPrefix,
+          isGroup ? {} : aria
+        );
+        return (
+          <div
+            key={field.name}
+            onBlur={() => fieldEvent(field.name, "blur", values)}>
+            {isGroup ? (
+              <fieldset style={{ border: "none", padding: 0 }} {...aria}>
+                <legend style={legendStyle}>{field.label}</legend>
+                {control}
+              </fieldset>
+            ) : (
+              control
+            )}
+            <FieldError
+              id={errorId(field.name)}
+              error={errors[field.name]}
+              pending={isPending(field.name)}
+            />
+            <hr />
+          </div>
+        );
+      })}
+      {children}
+      {onSubmit ? <button type="submit">{submitLabel}</button> : null}
+    </form>
+  );
+}
+
+export default SchemaForm;
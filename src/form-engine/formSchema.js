@@ -0,0 +1,46 @@
+import { maxItems, minItems, required } from "../validation/rules";
+
+// Schema = array of field descriptions:
+// { name, type, label, options?, default?, required?, min?, max?, placeholder?,
+//   rules? }  <- rules: extra validation/rules.js rules for the field
+// type: "checkbox-group" | "radio-group" | "select" | "text" | "password"
+
+export function initialValues(schema) {
+  return Object.fromEntries(
+    schema.map((field) => [
+      field.name,
+      field.default ?? (field.type === "checkbox-group" ? [] : ""),
+    ])
+  );
+}
+
+// Options may be plain strings or { value, label }
+export function normalizeOptions(options = []) {
+  return options.map((option) =>
+    typeof option === "string" ? { value: option, label: option } : option
+  );
+}
+
+// Keeps the order in which boxes were ticked (like the old InputHandling)
+export function toggleOption(selected, value, checked) {
+  return checked
+    ? [...selected.filter((v) => v !== value), value]
+    : selected.filter((v) => v !== value);
+}
+
+// Schema constraints -> validation rules, plus any extra field.rules
+export function schemaRules(schema) {
+  return Object.fromEntries(
+    schema.map((field) => {
+      const rules = [];
+      if (field.type === "checkbox-group") {
+        if (field.required) rules.push(minItems(1, "Pick at least one option"));
+        if (field.min != null) rules.push(minItems(field.min));
+        if (field.max != null) rules.push(maxItems(field.max));
+      } else if (field.required) {
+        rules.push(required(`${field.label ?? field.name} is required`));
+      }
+      return [field.name, [...rules, ...(field.rules ?? [])]];
+    })
+  );
+}
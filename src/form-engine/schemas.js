@@ -0,0 +1,65 @@
+import { matchesField, minLength, pattern } from "../validation/rules";
+
+// Skills / gender / city form from InputHandling.jsx
+export const skillsSchema = [
+  {
+    name: "skills",
+    type: "checkbox-group",
+    label: "Select your SKILLS✅",
+    required: true,
+    max: 3,
+    options: [
+      { value: "NextJs15", label: "NextJs" },
+      { value: "React19", label: "React" },
+      { value: "VueJs", label: "Vue.js" },
+      { value: "NodeJs", label: "Node.js" },
+      { value: "MongoDB", label: "MongoDB" },
+    ],
+  },
+  {
+    name: "gender",
+    type: "radio-group",
+    label: "Select GENDER 🔘",
+    default: "Male",
+    options: [
+      { value: "Male", label: "Male💪🏻🔥" },
+      { value: "Female", label: " Female♀️🍽️" },
+      { value: "Other", label: " Other🏳️‍🌈💅🏻" },
+    ],
+  },
+  {
+    name: "city",
+    type: "select",
+    label: "Select CITY📍",
+    default: "Kolkata",
+    options: ["Kolkata", "Hyderabad", "Delhi", "Chennai", "Pune"],
+  },
+];
+
+// Name / password form from Uncontrolled.jsx
+export const accountSchema = [
+  {
+    name: "name",
+    type: "text",
+    label: "Name",
+    placeholder: "Enter your name",
+    required: true,
+    rules: [minLength(3)],
+  },
+  {
+    name: "password",
+    type: "password",
+    label: "Password",
+    placeholder: "Enter your password",
+    required: true,
+    rules: [minLength(8), pattern(/\d/, "Add at least one number")],
+  },
+  {
+    name: "confirmPassword",
+    type: "password",
+    label: "Confirm password",
+    placeholder: "Confirm your password",
+    required: true,
+    rules: [matchesField("password", "Passwords don't match")],
+  },
+];
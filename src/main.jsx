@@ -2,8 +2,13 @@
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { logError } from './error-boundary/errorLogger'
 
-createRoot(document.getElementById('root')).render(
+// Errors no boundary caught still reach the same logger
+createRoot(document.getElementById('root'), {
+  onUncaughtError: (error, info) =>
+    logError(error, { ...info, source: 'root' }),
+}).render(
   // <StrictMode>
     <App />
   // </StrictMode>,
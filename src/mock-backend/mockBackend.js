@@ -0,0 +1,29 @@
+// In-memory stand-in for a real API -> no network needed.
+// outcome: "success" | "field-errors" | "error" decides how every call ends.
+
+const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
+
+export function createMockBackend({ outcome = "success", delay = 1500 } = {}) {
+  const users = [];
+
+  return {
+    async register({ name, password }) {
+      await sleep(delay); //mocking async-api call
+      if (outcome === "error") {
+        throw new Error("Server unavailable, please try again later 🔌");
+      }
+      if (outcome === "field-errors") {
+        return {
+          ok: false,
+          formError: "Please fix the highlighted fields",
+          fieldErrors: {
+            name: `"${name}" is already registered`,
+            password: "This password is too common",
+          },
+        };
+      }
+      users.push({ name, passwordLength: password.length });
+      return { ok: true, message: `Welcome, ${name}! (user #${users.length})` };
+    },
+  };
+}
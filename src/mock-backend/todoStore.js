@@ -0,0 +1,46 @@
+// In-memory todo "server" with fake latency and random failures.
+// configure({ latency, failureRate }) can be changed while the demo runs.
+
+let nextId = 1;
+
+export function createTodoStore(initialTexts = []) {
+  let todos = initialTexts.map((text) => ({
+    id: nextId++,
+    text,
+    done: false,
+  }));
+  const settings = { latency: 1000, failureRate: 0.2 };
+
+  // Every call waits, then fails with probability failureRate
+  async function request(label, change) {
+    await new Promise((res) => setTimeout(res, settings.latency));
+    if (Math.random() < settings.failureRate) {
+      throw new Error(`${label} failed (mock network error) 💥`);
+    }
+    todos = change(todos);
+    return todos;
+  }
+
+  return {
+    configure(next) {
+      Object.assign(settings, next);
+    },
+    snapshot() {
+      return todos;
+    },
+    add(text) {
+      const todo = { id: nextId++, text, done: false };
+      return request(`Adding "${text}"`, (list) => [...list, todo]);
+    },
+    toggle(id) {
+      return request("Updating todo", (list) =>
+        list.map((t) => (t.id === id ? { ...t, done: !t.done } : t))
+      );
+    },
+    remove(id) {
+      return request("Deleting todo", (list) =>
+        list.filter((t) => t.id !== id)
+      );
+    },
+  };
+}
@@ -0,0 +1,59 @@
+import React, { Suspense, useEffect } from "react";
+import useHashRoute from "./useHashRoute";
+import { DEFAULT_PATH, findRoute, routes } from "./routes";
+import NotFound from "./NotFound";
+import ErrorBoundary from "../error-boundary/ErrorBoundary";
+import { vars } from "../theme/themes";
+
+function DemoShell() {
+  const [path, navigate] = useHashRoute();
+  const route = findRoute(path);
+
+  useEffect(() => {
+    // No hash at all -> land on the default demo without an extra history entry
+    if (path === "/") navigate(DEFAULT_PATH, { replace: true });
+  }, [path, navigate]);
+
+  const Demo = route?.component;
+
+  return (
+    <div style={{ display: "flex", gap: "2em", alignItems: "flex-start" }}>
+      <nav
+        aria-label="Demos"
+        style={{
+          minWidth: "12em",
+          padding: "10px",
+          border: `2px solid ${vars.border}`,
+          borderRadius: "7px",
+        }}>
+        <h3>Demos 📚</h3>
+        <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+          {routes.map((r) => (
+            <li key={r.path} style={{ padding: "2px 0" }}>
+              <a
+                href={`#${r.path}`}
+                aria-current={r.path === path ? "page" : undefined}
+                style={{ fontWeight: r.path === path ? "bold" : "normal" }}>
+                {r.title}
+              </a>
+            </li>
+          ))}
+        </ul>
+      </nav>
+      <main style={{ flex: 1 }}>
+        {Demo ? (
+          // key -> every route change mounts a fresh demo (and boundary)
+          <ErrorBoundary key={route.path} name={route.title}>
+            <Suspense fallback={<h3>Loading demo... ⌛</h3>}>
+              <Demo {...route.props} />
+            </Suspense>
+          </ErrorBoundary>
+        ) : path === "/" ? null : (
+          <NotFound path={path} />
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default DemoShell;
@@ -0,0 +1,16 @@
+import React from "react";
+import { DEFAULT_PATH } from "./routes";
+
+function NotFound({ path }) {
+  return (
+    <div>
+      <h2>404 - Demo not found 🕵🏻</h2>
+      <p>
+        Nothing lives at <code>#{path}</code>.
+      </p>
+      <a href={`#${DEFAULT_PATH}`}>Back to the demos 🔙</a>
+    </div>
+  );
+}
+
+export default NotFound;
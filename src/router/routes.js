@@ -0,0 +1,130 @@
+import { lazy } from "react";
+
+// Every demo is loaded lazily -> each lesson gets its own chunk 📦
+// path: what goes after '#', title: sidebar label, props: passed to the demo
+export const routes = [
+  {
+    path: "/object-state",
+    title: "Object State",
+    component: lazy(() => import("../ObjectState")),
+  },
+  {
+    path: "/array-state",
+    title: "Array State",
+    component: lazy(() => import("../ArrayState")),
+  },
+  {
+    path: "/input-handling",
+    title: "Input Handling",
+    component: lazy(() => import("../InputHandling")),
+  },
+  {
+    path: "/wizard",
+    title: "Registration Wizard",
+    component: lazy(() => import("../wizard/RegistrationWizard")),
+  },
+  {
+    path: "/uncontrolled",
+    title: "Uncontrolled",
+    component: lazy(() => import("../Uncontrolled")),
+  },
+  {
+    path: "/map-table",
+    title: "Map Table",
+    component: lazy(() => import("../MapTable")),
+  },
+  {
+    path: "/nested-looping",
+    title: "Nested Looping",
+    component: lazy(() => import("../NestedLooping")),
+  },
+  {
+    path: "/parent-child",
+    title: "Parent ➡️ Child",
+    component: lazy(() => import("../Parent")),
+  },
+  {
+    path: "/user",
+    title: "User (props)",
+    component: lazy(() => import("../User")),
+    props: { name: "Skyy" },
+  },
+  {
+    path: "/use-effect",
+    title: "useEffect",
+    component: lazy(() => import("../UseEffect")),
+  },
+  {
+    path: "/use-effect-props",
+    title: "useEffect + props",
+    component: lazy(() => import("../UseEffect2")),
+    props: { count: 1, randData: "Random data" },
+  },
+  {
+    path: "/use-effect-lifecycle",
+    title: "useEffect lifecycle",
+    component: lazy(() => import("../UseEffect3")),
+    props: { count: 1 },
+  },
+  {
+    path: "/use-ref",
+    title: "useRef",
+    component: lazy(() => import("../UseRef")),
+  },
+  {
+    path: "/forward-ref",
+    title: "Ref as a prop",
+    component: lazy(() => import("../ForwardRef")),
+  },
+  {
+    path: "/dialog",
+    title: "Dialog (focus trap)",
+    component: lazy(() => import("../dialog/DialogDemo")),
+  },
+  {
+    path: "/use-id",
+    title: "useId",
+    component: lazy(() => import("../UseId")),
+  },
+  {
+    path: "/use-form-status",
+    title: "useFormStatus",
+    component: lazy(() => import("../UseFormStatus")),
+  },
+  {
+    path: "/use-transition",
+    title: "useTransition",
+    component: lazy(() => import("../UseTransition")),
+  },
+  {
+    path: "/use-optimistic",
+    title: "useOptimistic",
+    component: lazy(() => import("../UseOptimistic")),
+  },
+  {
+    path: "/suspense-data",
+    title: "Suspense data layer",
+    component: lazy(() => import("../data-layer/DataLayerDemo")),
+  },
+  {
+    path: "/context",
+    title: "Context API",
+    component: lazy(() => import("../context/ParentCtxt")),
+  },
+  {
+    path: "/clock",
+    title: "Digital Clock",
+    component: lazy(() => import("../PropsTask/ClockContainer")),
+  },
+  {
+    path: "/custom-hooks",
+    title: "Custom Hooks",
+    component: lazy(() => import("../custom-hooks/CustomHooks")),
+  },
+];
+
+export const DEFAULT_PATH = "/custom-hooks";
+
+export function findRoute(path) {
+  return routes.find((route) => route.path === path) ?? null;
+}
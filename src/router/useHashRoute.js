@@ -0,0 +1,28 @@
+import { useSyncExternalStore } from "react";
+
+// '#/use-ref' -> '/use-ref', '' or '#' -> '/'
+function readPath() {
+  const path = window.location.hash.replace(/^#/, "");
+  return path.startsWith("/") ? path : `/${path}`;
+}
+
+function subscribe(callback) {
+  // 'hashchange' fires for links, navigate() and the back/forward buttons 🔙
+  window.addEventListener("hashchange", callback);
+  return () => window.removeEventListener("hashchange", callback);
+}
+
+export function navigate(path, { replace = false } = {}) {
+  if (replace) {
+    window.location.replace(`#${path}`);
+  } else {
+    window.location.hash = path;
+  }
+}
+
+function useHashRoute() {
+  const path = useSyncExternalStore(subscribe, readPath);
+  return [path, navigate];
+}
+
+export default useHashRoute;
@@ -0,0 +1,140 @@
+import React, { useId, useState } from "react";
+import { vars } from "../theme/themes";
+
+const WIDTH = 420;
+const HEIGHT = 220;
+const PAD = { top: 24, right: 10, bottom: 40, left: 36 };
+
+// Plain SVG, no chart library. data: [{ label, value }]
+// Screen readers get the <title>/<desc> plus a real table in <details>.
+function BarChart({
+  title,
+  data,
+  valueLabel = "Value",
+  color = vars.chart1,
+  gap = 8,
+}) {
+  const id = useId();
+  const [active, setActive] = useState(null);
+
+  const max = Math.max(1, ...data.map((d) => d.value));
+  const innerW = WIDTH - PAD.left - PAD.right;
+  const innerH = HEIGHT - PAD.top - PAD.bottom;
+  const slot = data.length > 0 ? innerW / data.length : innerW;
+  const barW = Math.max(2, slot - gap);
+  const y = (value) => PAD.top + innerH - (value / max) * innerH;
+  const summary = data.map((d) => `${d.label}: ${d.value}`).join(", ");
+
+  return (
+    <figure style={{ margin: "10px 0" }}>
+      <svg
+        width={WIDTH}
+        height={HEIGHT}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-labelledby={`${id}title ${id}desc`}>
+        <title id={`${id}title`}>{title}</title>
+        <desc id={`${id}desc`}>
+          {valueLabel} per group. {summary}
+        </desc>
+        {/* axes */}
+        <line
+          x1={PAD.left}
+          y1={PAD.top + innerH}
+          x2={WIDTH - PAD.right}
+          y2={PAD.top + innerH}
+          stroke="currentColor"
+        />
+        <line
+          x1={PAD.left}
+          y1={PAD.top}
+          x2={PAD.left}
+          y2={PAD.top + innerH}
+          stroke="currentColor"
+        />
+        <text
+          x={PAD.left - 6}
+          y={PAD.top + 4}
+          textAnchor="end"
+          fontSize="10"
+          fill="currentColor">
+          {max}
+        </text>
+        <text
+          x={PAD.left - 6}
+          y={PAD.top + innerH}
+          textAnchor="end"
+          fontSize="10"
+          fill="currentColor">
+          0
+        </text>
+        {data.map((d, i) => {
+          const x = PAD.left + i * slot + (slot - barW) / 2;
+          return (
+            <g
+              key={d.label}
+              tabIndex={0}
+              aria-label={`${d.label}: ${d.value}`}
+              onMouseEnter={() => setActive(i)}
+              onMouseLeave={() => setActive(null)}
+              onFocus={() => setActive(i)}
+              onBlur={() => setActive(null)}>
+              <rect
+                x={x}
+                y={y(d.value)}
+                width={barW}
+                height={PAD.top + innerH - y(d.value)}
+                // CSS var( ) only works in style, not in the fill attribute
+                style={{ fill: color }}
+                opacity={active === null || active === i ? 1 : 0.5}>
+                <title>{`${d.label}: ${d.value}`}</title>
+              </rect>
+              <text
+                x={x + barW / 2}
+                y={HEIGHT - PAD.bottom + 14}
+                textAnchor="middle"
+                fontSize="10"
+                fill="currentColor">
+                {d.label.length > 10 ? `${d.label.slice(0, 9)}…` : d.label}
+              </text>
+            </g>
+          );
+        })}
+        {/* tooltip for the hovered / focused bar */}
+        {active !== null && data[active] ? (
+          <text
+            x={PAD.left + active * slot + slot / 2}
+            y={Math.max(12, y(data[active].value) - 6)}
+            textAnchor="middle"
+            fontSize="12"
+            fontWeight="bold"
+            fill="currentColor">
+            {data[active].value}
+          </text>
+        ) : null}
+      </svg>
+      <figcaption>{title}</figcaption>
+      <details>
+        <summary>Show data as table 📋</summary>
+        <table>
+          <thead>
+            <tr>
+              <th>Group</th>
+              <th>{valueLabel}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.map((d) => (
+              <tr key={d.label}>
+                <td>{d.label}</td>
+                <td>{d.value}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+    </figure>
+  );
+}
+
+export default BarChart;
@@ -0,0 +1,23 @@
+import React from "react";
+import BarChart from "./BarChart";
+import { histogram } from "./aggregate";
+import { vars } from "../theme/themes";
+
+// Histogram = bar chart over equal-width buckets, bars drawn edge to edge
+function Histogram({ title, values, binSize = 2, color = vars.chart2 }) {
+  const data = histogram(values, binSize).map((bin) => ({
+    label: bin.label,
+    value: bin.count,
+  }));
+  return (
+    <BarChart
+      title={title}
+      data={data}
+      valueLabel="Count"
+      color={color}
+      gap={1}
+    />
+  );
+}
+
+export default Histogram;
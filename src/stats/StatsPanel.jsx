@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import BarChart from "./BarChart";
+import Histogram from "./Histogram";
+import { groupStats, numericValues, summarize } from "./aggregate";
+
+// groupOptions: [{ key: "role", label: "Role" }], valueKey: numeric field
+function StatsPanel({ title, records, groupOptions, valueKey = "age" }) {
+  const [groupKey, setGroupKey] = useState(groupOptions[0].key);
+  const [metric, setMetric] = useState("count");
+
+  const stats = groupStats(records, groupKey, valueKey);
+  const overall = summarize(numericValues(records, valueKey));
+  const groupLabel = groupOptions.find((o) => o.key === groupKey).label;
+  const metricLabel = metric === "count" ? "Count" : `Average ${valueKey}`;
+
+  return (
+    <section style={{ margin: "10px 0" }}>
+      <h3>{title} 📊</h3>
+      <label>
+        Group by:{" "}
+        <select
+          value={groupKey}
+          onChange={(evt) => setGroupKey(evt.target.value)}>
+          {groupOptions.map((option) => (
+            <option key={option.key} value={option.key}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>{" "}
+      <label>
+        Chart:{" "}
+        <select value={metric} onChange={(evt) => setMetric(evt.target.value)}>
+          <option value="count">Count</option>
+          <option value="avg">Average {valueKey}</option>
+        </select>
+      </label>
+      <table style={{ borderSpacing: "15px" }}>
+        <thead>
+          <tr>
+            <th>{groupLabel}</th>
+            <th>Count</th>
+            <th>Min {valueKey}</th>
+            <th>Avg {valueKey}</th>
+            <th>Max {valueKey}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stats.map((row) => (
+            <tr key={row.group}>
+              <td>{row.group}</td>
+              <td>{row.count}</td>
+              <td>{row.min ?? "-"}</td>
+              <td>{row.avg ?? "-"}</td>
+              <td>{row.max ?? "-"}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr style={{ fontWeight: "bold" }}>
+            <td>All</td>
+            <td>{records.length}</td>
+            <td>{overall.min ?? "-"}</td>
+            <td>{overall.avg ?? "-"}</td>
+            <td>{overall.max ?? "-"}</td>
+          </tr>
+        </tfoot>
+      </table>
+      <BarChart
+        title={`${metricLabel} by ${groupLabel}`}
+        valueLabel={metricLabel}
+        data={stats.map((row) => ({
+          label: row.group,
+          value: metric === "count" ? row.count : (row.avg ?? 0),
+        }))}
+      />
+      <Histogram
+        title={`${valueKey} distribution`}
+        values={numericValues(records, valueKey)}
+      />
+    </section>
+  );
+}
+
+export default StatsPanel;
@@ -0,0 +1,70 @@
+// Group-by + min/avg/max helpers for the stats panels.
+
+// Histograms never get more bars than this -> the bins widen instead
+const MAX_BINS = 50;
+
+// "", null, undefined, "abc" -> null (missing, NOT 0), "24" -> 24
+export function toNumber(value) {
+  if (value === "" || value == null) return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+// The numeric values of one field, records without one are skipped
+export function numericValues(records, valueKey) {
+  return records
+    .map((record) => toNumber(record[valueKey]))
+    .filter((value) => value !== null);
+}
+
+// -> [{ group, count, min, avg, max }] sorted by group name
+// count = every record in the group, min/avg/max = only the ones with a value
+export function groupStats(records, groupKey, valueKey) {
+  const groups = new Map();
+  for (const record of records) {
+    const group = String(record[groupKey] ?? "(none)");
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(record);
+  }
+  return [...groups.entries()]
+    .map(([group, members]) => ({
+      group,
+      count: members.length,
+      ...summarize(numericValues(members, valueKey)),
+    }))
+    .sort((a, b) => a.group.localeCompare(b.group));
+}
+
+export function summarize(values) {
+  const numbers = values.filter((v) => Number.isFinite(v));
+  if (numbers.length === 0) return { min: null, avg: null, max: null };
+  const total = numbers.reduce((sum, v) => sum + v, 0);
+  return {
+    min: Math.min(...numbers),
+    avg: Math.round((total / numbers.length) * 10) / 10,
+    max: Math.max(...numbers),
+  };
+}
+
+// Buckets of width binSize -> [{ label: "24-25", from, to, count }]
+// A wide spread (one outlier) widens the buckets, max MAX_BINS of them
+export function histogram(values, binSize) {
+  const numbers = values.filter((v) => Number.isFinite(v));
+  if (numbers.length === 0) return [];
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  const size = Math.max(binSize, Math.ceil((max - min) / (MAX_BINS - 1)));
+  const start = Math.floor(min / size) * size;
+  const end = Math.floor(max / size) * size;
+  const bins = [];
+  for (let from = start; from <= end; from += size) {
+    const to = from + size - 1;
+    bins.push({
+      label: size === 1 ? String(from) : `${from}-${to}`,
+      from,
+      to,
+      count: numbers.filter((v) => v >= from && v < from + size).length,
+    });
+  }
+  return bins;
+}
@@ -0,0 +1,40 @@
+import React, { useLayoutEffect, useMemo } from "react";
+import { ThemeCtxt } from "./themeContext";
+import { cssVarName, themes } from "./themes";
+import useLocalStorage from "../custom-hooks/useLocalStorage";
+import useMediaQuery from "../custom-hooks/useMediaQuery";
+
+// "system" (the default) follows the OS: prefers-contrast: more ->
+// high-contrast, otherwise prefers-color-scheme. Any other choice is
+// remembered in localStorage (and synced across tabs).
+function ThemeProvider({ children }) {
+  const [choice, setChoice] = useLocalStorage("theme", "system");
+  const prefersDark = useMediaQuery("(prefers-color-scheme: dark)");
+  const prefersContrast = useMediaQuery("(prefers-contrast: more)");
+
+  const systemTheme = prefersContrast
+    ? "high-contrast"
+    : prefersDark
+      ? "dark"
+      : "light";
+  const theme = themes[choice] ? choice : systemTheme;
+
+  // Layout effect -> the new colors are in place before the browser paints
+  useLayoutEffect(() => {
+    const root = document.documentElement;
+    for (const [token, value] of Object.entries(themes[theme])) {
+      root.style.setProperty(cssVarName(token), value);
+    }
+    root.dataset.theme = theme;
+    root.style.colorScheme = theme === "light" ? "light" : "dark";
+  }, [theme]);
+
+  const value = useMemo(
+    () => ({ choice, setChoice, theme, tokens: themes[theme] }),
+    [choice, setChoice, theme]
+  );
+
+  return <ThemeCtxt.Provider value={value}>{children}</ThemeCtxt.Provider>;
+}
+
+export default ThemeProvider;
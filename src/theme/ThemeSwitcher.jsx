@@ -0,0 +1,29 @@
+import React from "react";
+import { useTheme } from "./themeContext";
+import { themeNames } from "./themes";
+
+const labels = {
+  system: "System 💻",
+  light: "Light ☀️",
+  dark: "Dark 🌙",
+  "high-contrast": "High contrast 🔳",
+};
+
+function ThemeSwitcher() {
+  const { choice, setChoice } = useTheme();
+  return (
+    <select
+      aria-label="Theme"
+      value={choice}
+      onChange={(evt) => setChoice(evt.target.value)}
+      style={{ padding: "5px", borderRadius: "10px" }}>
+      {["system", ...themeNames].map((name) => (
+        <option key={name} value={name}>
+          {labels[name]}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default ThemeSwitcher;
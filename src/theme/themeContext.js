@@ -0,0 +1,11 @@
+import { createContext, useContext } from "react";
+
+// { choice: "system" | theme name, setChoice, theme: resolved name, tokens }
+export const ThemeCtxt = createContext(null);
+
+export function useTheme() {
+  const theme = useContext(ThemeCtxt);
+  if (!theme)
+    throw new Error("useTheme( ) must be used inside <ThemeProvider/>");
+  return theme;
+}
@@ -0,0 +1,122 @@
+// Design tokens -> every theme defines the same names.
+// ThemeProvider writes the active theme as CSS custom properties
+// (surface -> --surface, levelText -> --level-text) and components use
+// vars.surface === "var(--surface)" in their inline styles. Switching themes
+// is then pure CSS, nothing has to re-render.
+
+export const themes = {
+  light: {
+    bg: "#ffffff",
+    text: "#213547",
+    textMuted: "#5b6b7a",
+    surface: "#f5f6f8",
+    border: "#8a94a6",
+    borderMuted: "#d0d5dd",
+    accent: "#646cff",
+    accentHover: "#747bff",
+    buttonBg: "#f9f9f9",
+    buttonBorder: "transparent",
+    danger: "#c62828",
+    success: "#2e7d32",
+    successBg: "#1f7a3a",
+    dangerBg: "#a12a2a",
+    infoBg: "#1d4f91",
+    onStatus: "#ffffff",
+    overlay: "rgba(0, 0, 0, 0.4)",
+    shadow: "rgba(0, 0, 0, 0.2)",
+    highlight: "#fff3a3",
+    dangerHighlight: "#ffd6d6",
+    infoHighlight: "#cce9f5",
+    displayBg: "#1b1b1f",
+    displayText: "#f5f5f5",
+    level1: "#fff3b0",
+    level2: "#ffd8a8",
+    level3: "#bde4f4",
+    level4: "#c3e6cb",
+    level5: "#e2e3e5",
+    levelText: "#5a2d0c",
+    levelBorder: "transparent",
+    chart1: "#87ceeb",
+    chart2: "#ffa500",
+  },
+  dark: {
+    bg: "#ee57573b",
+    text: "rgba(240, 231, 231, 0.87)",
+    textMuted: "#b8b0b0",
+    surface: "#242424",
+    border: "#ffffff",
+    borderMuted: "#808080",
+    accent: "#646cff",
+    accentHover: "#535bf2",
+    buttonBg: "#1a1a1a",
+    buttonBorder: "transparent",
+    danger: "#ff6b6b",
+    success: "#66bb6a",
+    successBg: "#1f7a3a",
+    dangerBg: "#a12a2a",
+    infoBg: "#1d4f91",
+    onStatus: "#ffffff",
+    overlay: "rgba(0, 0, 0, 0.6)",
+    shadow: "rgba(0, 0, 0, 0.4)",
+    highlight: "#7a6a00",
+    dangerHighlight: "#6e1f1f",
+    infoHighlight: "#1f4f6e",
+    displayBg: "#000000",
+    displayText: "#ffffff",
+    level1: "#6b5e00",
+    level2: "#8a4b00",
+    level3: "#1f5f7a",
+    level4: "#1e5e2e",
+    level5: "#4a4a4a",
+    levelText: "#ffe8d6",
+    levelBorder: "transparent",
+    chart1: "#4fa8d8",
+    chart2: "#e08a00",
+  },
+  "high-contrast": {
+    bg: "#000000",
+    text: "#ffffff",
+    textMuted: "#ffffff",
+    surface: "#000000",
+    border: "#ffff00",
+    borderMuted: "#ffffff",
+    accent: "#00ffff",
+    accentHover: "#ffff00",
+    buttonBg: "#000000",
+    buttonBorder: "#ffffff",
+    danger: "#ff8080",
+    success: "#80ff80",
+    successBg: "#004d00",
+    dangerBg: "#8b0000",
+    infoBg: "#00005c",
+    onStatus: "#ffffff",
+    overlay: "rgba(0, 0, 0, 0.85)",
+    shadow: "transparent",
+    highlight: "#0000ff",
+    dangerHighlight: "#8b0000",
+    infoHighlight: "#00005c",
+    displayBg: "#000000",
+    displayText: "#ffffff",
+    level1: "#000000",
+    level2: "#000000",
+    level3: "#000000",
+    level4: "#000000",
+    level5: "#000000",
+    levelText: "#ffffff",
+    levelBorder: "#ffff00",
+    chart1: "#00ffff",
+    chart2: "#ffff00",
+  },
+};
+
+export const themeNames = Object.keys(themes);
+
+// levelText -> --level-text
+export function cssVarName(token) {
+  return `--${token.replace(/[A-Z0-9]/g, (char) => `-${char.toLowerCase()}`)}`;
+}
+
+// { surface: "var(--surface)", ... } -> use these in style={{ }}
+export const vars = Object.fromEntries(
+  Object.keys(themes.light).map((token) => [token, `var(${cssVarName(token)})`])
+);
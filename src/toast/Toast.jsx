@@ -0,0 +1,57 @@
+import React, { useEffect, useRef, useState } from "react";
+import { vars } from "../theme/themes";
+
+const variants = {
+  success: { icon: "✅", background: vars.successBg },
+  error: { icon: "❌", background: vars.dangerBg },
+  info: { icon: "ℹ️", background: vars.infoBg },
+};
+
+// One notification. The timer pauses while hovered / focused, and resumes
+// with whatever time was left.
+function Toast({ toast, onDismiss }) {
+  const [paused, setPaused] = useState(false);
+  const remaining = useRef(toast.duration);
+
+  useEffect(() => {
+    if (paused || !toast.duration) return;
+    const startedAt = Date.now();
+    const timer = setTimeout(() => onDismiss(toast.id), remaining.current);
+    return () => {
+      clearTimeout(timer);
+      remaining.current -= Date.now() - startedAt;
+    };
+  }, [paused, toast.id, toast.duration, onDismiss]);
+
+  const { icon, background } = variants[toast.variant] ?? variants.info;
+  return (
+    <div
+      role={toast.variant === "error" ? "alert" : "status"}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={() => setPaused(false)}
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: "10px",
+        minWidth: "16em",
+        padding: "10px 12px",
+        borderRadius: "8px",
+        color: vars.onStatus,
+        background,
+        boxShadow: `0 4px 12px ${vars.shadow}`,
+      }}>
+      <span aria-hidden="true">{icon}</span>
+      <span style={{ flex: 1 }}>{toast.message}</span>
+      <button
+        aria-label="Dismiss notification"
+        onClick={() => onDismiss(toast.id)}
+        style={{ padding: "2px 8px", margin: 0 }}>
+        ✖
+      </button>
+    </div>
+  );
+}
+
+export default Toast;
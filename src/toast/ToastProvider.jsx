@@ -0,0 +1,65 @@
+import React, { useCallback, useMemo, useState } from "react";
+import { createPortal } from "react-dom";
+import Toast from "./Toast";
+import { ToastCtxt } from "./toastContext";
+
+let nextId = 1;
+
+// maxVisible -> extra toasts wait in the queue until a slot frees up
+function ToastProvider({ children, maxVisible = 3, duration = 4000 }) {
+  const [toasts, setToasts] = useState([]);
+
+  const dismiss = useCallback((id) => {
+    setToasts((prev) => prev.filter((t) => t.id !== id));
+  }, []);
+
+  const toast = useMemo(() => {
+    function show(message, { variant = "info", duration: ms = duration } = {}) {
+      const id = nextId++;
+      setToasts((prev) => [...prev, { id, message, variant, duration: ms }]);
+      return id;
+    }
+    return {
+      show,
+      success: (message, options) =>
+        show(message, { ...options, variant: "success" }),
+      error: (message, options) =>
+        show(message, { ...options, variant: "error" }),
+      info: (message, options) =>
+        show(message, { ...options, variant: "info" }),
+      dismiss,
+    };
+  }, [dismiss, duration]);
+
+  const visible = toasts.slice(0, maxVisible);
+  const queued = toasts.length - visible.length;
+
+  return (
+    <ToastCtxt.Provider value={toast}>
+      {children}
+      {createPortal(
+        <div
+          aria-live="polite"
+          style={{
+            position: "fixed",
+            right: "1.5rem",
+            bottom: "1.5rem",
+            display: "flex",
+            flexDirection: "column",
+            gap: "8px",
+            zIndex: 1000,
+          }}>
+          {visible.map((t) => (
+            <Toast key={t.id} toast={t} onDismiss={dismiss} />
+          ))}
+          {queued > 0 ? (
+            <small style={{ textAlign: "right" }}>+{queued} more</small>
+          ) : null}
+        </div>,
+        document.body
+      )}
+    </ToastCtxt.Provider>
+  );
+}
+
+export default ToastProvider;
@@ -0,0 +1,11 @@
+import { createContext, useContext } from "react";
+
+export const ToastCtxt = createContext(null);
+
+// const toast = useToast(); toast.success("Saved ✅")
+export function useToast() {
+  const toast = useContext(ToastCtxt);
+  if (!toast)
+    throw new Error("useToast( ) must be used inside <ToastProvider/>");
+  return toast;
+}
@@ -0,0 +1,197 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  collegeId,
+  filterColleges,
+  splitHighlight,
+  studentId,
+  visibleItems,
+} from "./treeUtils";
+import { vars } from "../theme/themes";
+
+function Highlight({ text, search }) {
+  return splitHighlight(text, search).map((part, i) =>
+    part.hit ? <mark key={i}>{part.text}</mark> : part.text
+  );
+}
+
+// WAI-ARIA tree pattern -> one tab stop (roving tabIndex), arrows move,
+// Right/Left open/close, Home/End jump, Enter toggles.
+// search is owned by the parent -> it can export exactly what is shown.
+function CollegeTree({ colleges, search, onSearchChange }) {
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [activeId, setActiveId] = useState(collegeId(0));
+  const treeRef = useRef(null);
+  const itemRefs = useRef(new Map());
+
+  const entries = filterColleges(colleges, search);
+  const items = visibleItems(entries, expanded);
+  // The active item can vanish (search, collapse) -> fall back to the first one
+  const currentId = items.some((item) => item.id === activeId)
+    ? activeId
+    : items[0]?.id;
+
+  useEffect(() => {
+    // Only move DOM focus when the user is already inside the tree
+    if (treeRef.current?.contains(document.activeElement)) {
+      itemRefs.current.get(currentId)?.focus();
+    }
+  }, [currentId]);
+
+  function handleSearch(value) {
+    onSearchChange(value);
+    // Auto-expand every college that still has matching students
+    setExpanded(
+      value.trim()
+        ? new Set(
+            filterColleges(colleges, value).map(({ ci }) => collegeId(ci))
+          )
+        : new Set()
+    );
+  }
+
+  function setOpen(id, open) {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (open) next.add(id);
+      else next.delete(id);
+      return next;
+    });
+  }
+
+  function handleKeyDown(evt) {
+    const index = items.findIndex((item) => item.id === currentId);
+    const item = items[index];
+    if (!item) return;
+    const isOpen = expanded.has(item.id);
+
+    switch (evt.key) {
+      case "ArrowDown":
+        setActiveId(items[Math.min(index + 1, items.length - 1)].id);
+        break;
+      case "ArrowUp":
+        setActiveId(items[Math.max(index - 1, 0)].id);
+        break;
+      case "Home":
+        setActiveId(items[0].id);
+        break;
+      case "End":
+        setActiveId(items[items.length - 1].id);
+        break;
+      case "ArrowRight":
+        if (!item.hasChildren) break;
+        if (isOpen) setActiveId(items[index + 1].id);
+        else setOpen(item.id, true);
+        break;
+      case "ArrowLeft":
+        if (item.parentId) setActiveId(item.parentId);
+        else if (isOpen) setOpen(item.id, false);
+        break;
+      case "Enter":
+        if (item.hasChildren) setOpen(item.id, !isOpen);
+        break;
+      default:
+        return; // let every other key through (Tab etc.)
+    }
+    evt.preventDefault();
+  }
+
+  function itemProps(id) {
+    return {
+      id,
+      tabIndex: id === currentId ? 0 : -1,
+      ref: (el) => {
+        if (el) itemRefs.current.set(id, el);
+        else itemRefs.current.delete(id);
+      },
+    };
+  }
+
+  return (
+    <div>
+      <input
+        type="search"
+        placeholder="Search students by name / email.. 🔍"
+        aria-label="Search students"
+        value={search}
+        onChange={(evt) => handleSearch(evt.target.value)}
+        style={{ padding: "5px", borderRadius: "5px", width: "20em" }}
+      />
+      <button
+        onClick={() =>
+          setExpanded(new Set(entries.map(({ ci }) => collegeId(ci))))
+        }>
+        Expand all ➕
+      </button>
+      <button onClick={() => setExpanded(new Set())}>Collapse all ➖</button>
+      {entries.length === 0 ? <p>No students match 🤷🏻</p> : null}
+
+      <ul
+        ref={treeRef}
+        role="tree"
+        aria-label="Colleges and students"
+        onKeyDown={handleKeyDown}
+        style={{ listStyle: "none", paddingLeft: 0 }}>
+        {entries.map(({ college, ci, students }, position) => {
+          const id = collegeId(ci);
+          const isOpen = expanded.has(id);
+          return (
+            <li
+              key={id}
+              {...itemProps(id)}
+              role="treeitem"
+              aria-expanded={students.length > 0 ? isOpen : undefined}
+              aria-level={1}
+              aria-setsize={entries.length}
+              aria-posinset={position + 1}
+              onClick={() => {
+                setActiveId(id);
+                setOpen(id, !isOpen);
+              }}
+              style={{ padding: "4px", cursor: "pointer" }}>
+              <span style={{ fontWeight: "bold" }}>
+                {isOpen ? "🔽" : "▶️"} 🏫 {college.name}
+              </span>{" "}
+              <small>
+                📍{college.city} 📧{college.website} ({students.length})
+              </small>
+              {isOpen ? (
+                <ul
+                  role="group"
+                  style={{
+                    listStyle: "none",
+                    border: `2px solid ${vars.border}`,
+                    margin: "5px",
+                    borderRadius: "8px",
+                  }}>
+                  {students.map(({ student, si }, studentPosition) => {
+                    const sid = studentId(ci, si);
+                    return (
+                      <li
+                        key={sid}
+                        {...itemProps(sid)}
+                        role="treeitem"
+                        aria-level={2}
+                        aria-setsize={students.length}
+                        aria-posinset={studentPosition + 1}
+                        onClick={(evt) => {
+                          evt.stopPropagation(); // don't toggle the college
+                          setActiveId(sid);
+                        }}
+                        style={{ padding: "4px" }}>
+                        🎓 <Highlight text={student.name} search={search} /> -
+                        age: {student.age}, email:{" "}
+                        <Highlight text={student.email} search={search} />
+                      </li>
+                    );
+                  })}
+                </ul>
+              ) : null}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default CollegeTree;
@@ -0,0 +1,73 @@
+// Helpers for <CollegeTree/>. Ids: college -> "c0", student -> "c0/s1"
+
+export const collegeId = (ci) => `c${ci}`;
+export const studentId = (ci, si) => `c${ci}/s${si}`;
+
+function matches(text, query) {
+  return String(text ?? "")
+    .toLowerCase()
+    .includes(query);
+}
+
+// Keeps the original indexes so ids stay stable while searching.
+// A college is kept only if at least one student name/email matches.
+export function filterColleges(colleges, search) {
+  const query = search.trim().toLowerCase();
+  const all = colleges.map((college, ci) => ({
+    college,
+    ci,
+    students: college.students.map((student, si) => ({ student, si })),
+  }));
+  if (!query) return all;
+  return all
+    .map((entry) => ({
+      ...entry,
+      students: entry.students.filter(
+        ({ student }) =>
+          matches(student.name, query) || matches(student.email, query)
+      ),
+    }))
+    .filter((entry) => entry.students.length > 0);
+}
+
+// Same search as plain records -> what the tree shows, ready to export
+export function filterCollegeRecords(colleges, search) {
+  return filterColleges(colleges, search).map(({ college, students }) => ({
+    ...college,
+    students: students.map(({ student }) => student),
+  }));
+}
+
+// Flat list of the items currently on screen, top to bottom -> arrow keys
+// just move through this list.
+export function visibleItems(entries, expanded) {
+  return entries.flatMap(({ ci, students }) => {
+    const id = collegeId(ci);
+    const children = expanded.has(id)
+      ? students.map(({ si }) => ({ id: studentId(ci, si), parentId: id }))
+      : [];
+    return [
+      { id, parentId: null, hasChildren: students.length > 0 },
+      ...children,
+    ];
+  });
+}
+
+// "alice@gmail.com", "gma" -> [{ text: "alice@", hit: false }, { text: "gma", hit: true }, ...]
+export function splitHighlight(text, search) {
+  const value = String(text ?? "");
+  const query = search.trim().toLowerCase();
+  if (!query) return [{ text: value, hit: false }];
+  const parts = [];
+  const lower = value.toLowerCase();
+  let from = 0;
+  let at = lower.indexOf(query);
+  while (at !== -1) {
+    if (at > from) parts.push({ text: value.slice(from, at), hit: false });
+    parts.push({ text: value.slice(at, at + query.length), hit: true });
+    from = at + query.length;
+    at = lower.indexOf(query, from);
+  }
+  if (from < value.length) parts.push({ text: value.slice(from), hit: false });
+  return parts;
+}
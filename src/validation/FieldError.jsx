@@ -0,0 +1,17 @@
+import React from "react";
+import { vars } from "../theme/themes";
+
+// Inline error under a field -> 'id' is what the input's aria-describedby points at
+function FieldError({ id, error, pending }) {
+  if (pending) {
+    return <p style={{ margin: "4px 0", fontSize: "0.9em" }}>Checking... ⌛</p>;
+  }
+  if (!error) return null;
+  return (
+    <p id={id} role="alert" style={{ color: vars.danger, margin: "4px 0" }}>
+      ⚠️ {error}
+    </p>
+  );
+}
+
+export default FieldError;
@@ -0,0 +1,60 @@
+// Rule = (value, values) => error message | null (or a Promise of one).
+// 'values' is the whole form -> that's what makes cross-field rules possible.
+
+function isEmpty(value) {
+  return Array.isArray(value)
+    ? value.length === 0
+    : String(value ?? "").trim() === "";
+}
+
+export function required(message = "This field is required") {
+  return (value) => (isEmpty(value) ? message : null);
+}
+
+// Empty values pass every rule except required() -> optional fields stay optional
+export function pattern(regex, message = "Invalid format") {
+  return (value) => (isEmpty(value) || regex.test(value) ? null : message);
+}
+
+export function minLength(min, message = `Use at least ${min} characters`) {
+  return (value) => (isEmpty(value) || value.length >= min ? null : message);
+}
+
+export function maxLength(max, message = `Use at most ${max} characters`) {
+  return (value) => (isEmpty(value) || value.length <= max ? null : message);
+}
+
+// Checkbox groups -> how many options may be picked
+export function minItems(min, message = `Pick at least ${min} options`) {
+  return (value = []) => (value.length >= min ? null : message);
+}
+
+export function maxItems(max, message = `Pick at most ${max} options`) {
+  return (value = []) => (value.length <= max ? null : message);
+}
+
+// Cross-field: 'dependsOn' tells the validator to re-check this field when
+// the other one changes (password edited after the confirmation was typed).
+export function matchesField(otherName, message = "Values don't match") {
+  const rule = (value, values) =>
+    isEmpty(value) || value === values[otherName] ? null : message;
+  rule.dependsOn = [otherName];
+  return rule;
+}
+
+// Any (async) check -> fn returns true when valid
+export function custom(fn, message = "Invalid value") {
+  const rule = async (value, values) =>
+    (await fn(value, values)) ? null : message;
+  rule.isAsync = true;
+  return rule;
+}
+
+// Runs the rules in order and stops at the first error
+export async function runRules(rules = [], value, values) {
+  for (const rule of rules) {
+    const error = await rule(value, values);
+    if (error) return error;
+  }
+  return null;
+}
@@ -0,0 +1,148 @@
+import { useId, useRef, useState } from "react";
+import { runRules } from "./rules";
+
+// Native form -> plain values object. Checkbox groups (same name, several
+// boxes) become arrays, everything else a single string.
+export function readFormValues(form) {
+  const data = new FormData(form);
+  const values = {};
+  for (const element of form.elements) {
+    const { name, type } = element;
+    if (!name || name in values) continue;
+    const isGroup =
+      type === "checkbox" &&
+      form.querySelectorAll(`input[type="checkbox"][name="${name}"]`).length >
+        1;
+    values[name] = isGroup ? data.getAll(name) : (data.get(name) ?? "");
+  }
+  return values;
+}
+
+// rules: { fieldName: [rule, ...] }
+// mode: "change" -> check while typing, "blur" -> check when leaving a field,
+//       "submit" -> check on submit only.
+// Once a field has been checked, later changes re-check it so errors clear
+// as soon as the user fixes them.
+function useValidation(rules, { mode = "blur" } = {}) {
+  const idPrefix = useId();
+  const [errors, setErrors] = useState({});
+  const [pending, setPending] = useState({});
+  const checked = useRef(new Set());
+  const runIds = useRef({});
+  const resubmitting = useRef(false);
+
+  async function validateField(name, values) {
+    // Slow async validators can finish out of order -> only the latest run counts
+    const runId = (runIds.current[name] ?? 0) + 1;
+    runIds.current[name] = runId;
+    // Only async rules get a "Checking..." state, sync ones resolve at once
+    const hasAsyncRule = rules[name]?.some((rule) => rule.isAsync);
+    if (hasAsyncRule) setPending((prev) => ({ ...prev, [name]: true }));
+    let error = null;
+    try {
+      error = await runRules(rules[name], values[name], values);
+    } catch (err) {
+      // A rejected validator (e.g. network down) -> the field fails with it
+      error = `Could not check this field: ${err?.message ?? err}`;
+    } finally {
+      if (runIds.current[name] === runId) {
+        checked.current.add(name);
+        setPending((prev) => ({ ...prev, [name]: false }));
+        setErrors((prev) => ({ ...prev, [name]: error }));
+      }
+    }
+    return error;
+  }
+
+  async function validateAll(values) {
+    const names = Object.keys(rules);
+    const results = await Promise.all(
+      names.map((name) => validateField(name, values))
+    );
+    return names.filter((_, i) => results[i]);
+  }
+
+  // trigger: "change" | "blur"
+  function fieldEvent(name, trigger, values) {
+    if (
+      mode === trigger ||
+      (trigger === "change" && checked.current.has(name))
+    ) {
+      validateField(name, values);
+    }
+    // Cross-field rules: re-check fields that depend on this one
+    for (const other of Object.keys(rules)) {
+      const dependsOnName = rules[other].some((rule) =>
+        rule.dependsOn?.includes(name)
+      );
+      if (dependsOnName && checked.current.has(other)) {
+        validateField(other, values);
+      }
+    }
+  }
+
+  function errorId(name) {
+    return `${idPrefix}-${name}-error`;
+  }
+
+  // Spread onto uncontrolled native inputs: <input {...register("name")} />
+  function register(name) {
+    return {
+      name,
+      onChange: (evt) =>
+        fieldEvent(name, "change", readFormValues(evt.target.form)),
+      onBlur: (evt) =>
+        fieldEvent(name, "blur", readFormValues(evt.target.form)),
+      "aria-invalid": Boolean(errors[name]),
+      "aria-describedby": errors[name] ? errorId(name) : undefined,
+    };
+  }
+
+  // onSubmit={handleSubmit(onValid)}. Without onValid the form is submitted
+  // again once valid, so a React 19 <form action={...}> still runs its action.
+  function handleSubmit(onValid) {
+    return async (evt) => {
+      if (resubmitting.current) {
+        resubmitting.current = false;
+        return;
+      }
+      evt.preventDefault();
+      const form = evt.currentTarget;
+      const submitter = evt.nativeEvent.submitter;
+      const values = readFormValues(form);
+      const invalid = await validateAll(values);
+      if (invalid.length > 0) {
+        form.elements.namedItem(invalid[0])?.focus?.();
+        return;
+      }
+      if (onValid) {
+        onValid(values, form);
+      } else {
+        resubmitting.current = true;
+        form.requestSubmit(submitter);
+      }
+    };
+  }
+
+  function reset() {
+    checked.current = new Set();
+    setErrors({});
+    setPending({});
+  }
+
+  return {
+    errors,
+    hasErrors: Object.values(errors).some(Boolean),
+    isValidating: Object.values(pending).some(Boolean),
+    isPending: (name) => Boolean(pending[name]),
+    errorId,
+    register,
+    fieldEvent,
+    validateField,
+    validateAll,
+    handleSubmit,
+    reset,
+  };
+}
+
+export default useValidation;
@@ -0,0 +1,117 @@
+import React, { useState } from "react";
+import { useFormStatus } from "react-dom";
+import SchemaForm from "../form-engine/SchemaForm";
+import { accountSchema, skillsSchema } from "../form-engine/schemas";
+import WizardProgress from "./WizardProgress";
+
+const steps = ["Account 🔐", "Profile 🧑🏻‍💻", "Review 👀"];
+
+function SubmitButton() {
+  // Works because the review step submits through a <form action={...}>
+  const { pending } = useFormStatus();
+  return (
+    <button type="submit" disabled={pending}>
+      {pending ? "Submitting..." : "Register ✅"}
+    </button>
+  );
+}
+
+function BackButton({ onBack }) {
+  const { pending } = useFormStatus();
+  return (
+    <button type="button" disabled={pending} onClick={onBack}>
+      ⬅️ Back
+    </button>
+  );
+}
+
+function RegistrationWizard() {
+  const [step, setStep] = useState(0);
+  // Every step writes into this one object -> going back keeps the answers
+  const [values, setValues] = useState({});
+  const [registered, setRegistered] = useState(null);
+
+  function mergeValues(next) {
+    setValues((prev) => ({ ...prev, ...next }));
+  }
+
+  function goTo(nextStep, stepValues) {
+    mergeValues(stepValues);
+    setStep(nextStep);
+  }
+
+  async function registerAction() {
+    await new Promise((res) => setTimeout(res, 1500)); //mocking async-api call
+    console.log(`Registered ${values.name} ✅`);
+    setRegistered(values.name);
+  }
+
+  function startOver() {
+    setValues({});
+    setRegistered(null);
+    setStep(0);
+  }
+
+  if (registered) {
+    return (
+      <div>
+        <h2>Welcome aboard, {registered}! 🎉</h2>
+        <button onClick={startOver}>Register someone else</button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2>Multi-step Registration 🪜</h2>
+      <WizardProgress steps={steps} current={step} />
+      <h3>{steps[step]}</h3>
+
+      {step === 0 ? (
+        <SchemaForm
+          key="account"
+          schema={accountSchema}
+          defaultValues={values}
+          onChange={mergeValues}
+          onSubmit={(stepValues) => goTo(1, stepValues)}
+          submitLabel="Next ➡️"
+        />
+      ) : null}
+
+      {step === 1 ? (
+        <SchemaForm
+          key="profile"
+          schema={skillsSchema}
+          defaultValues={values}
+          onChange={mergeValues}
+          onSubmit={(stepValues) => goTo(2, stepValues)}
+          submitLabel="Next ➡️">
+          <button type="button" onClick={() => setStep(0)}>
+            ⬅️ Back
+          </button>
+        </SchemaForm>
+      ) : null}
+
+      {step === 2 ? (
+        <form action={registerAction}>
+          <dl>
+            <dt>Name</dt>
+            <dd>{values.name}</dd>
+            <dt>Password</dt>
+            <dd>{"•".repeat(values.password.length)}</dd>
+            <dt>Skills</dt>
+            <dd>{values.skills.join(", ")}</dd>
+            <dt>Gender</dt>
+            <dd>{values.gender}</dd>
+            <dt>City</dt>
+            <dd>{values.city}</dd>
+          </dl>
+          <BackButton onBack={() => setStep(1)} />
+          <SubmitButton />
+        </form>
+      ) : null}
+    </div>
+  );
+}
+
+export default RegistrationWizard;
@@ -0,0 +1,31 @@
+import React from "react";
+
+// "Step 2 of 3" bar + the list of step titles
+function WizardProgress({ steps, current }) {
+  return (
+    <nav aria-label="Registration progress">
+      <progress
+        value={current + 1}
+        max={steps.length}
+        style={{ width: "20em" }}
+        aria-label={`Step ${current + 1} of ${steps.length}`}
+      />
+      <ol style={{ display: "flex", gap: "1.5em", paddingLeft: "1.2em" }}>
+        {steps.map((title, i) => (
+          <li
+            key={title}
+            aria-current={i === current ? "step" : undefined}
+            style={{
+              fontWeight: i === current ? "bold" : "normal",
+              opacity: i > current ? 0.6 : 1,
+            }}>
+            {i < current ? "✅ " : ""}
+            {title}
+          </li>
+        ))}
+      </ol>
+    </nav>
+  );
+}
+
+export default WizardProgress;